@@ -0,0 +1,162 @@
+// Chess clocks for Chess Tic‑Tac‑Toe, shared by server.js and the browser.
+// Pure functions only: every call returns a new clock object.
+//
+// A clock looks like:
+//   {
+//     timeControl: "3+2",           id from TIME_CONTROLS
+//     remaining: { X: ms, O: ms },  time left as of turnStartedAt
+//     running: "X" | "O" | null,    whose clock is ticking
+//     turnStartedAt: ms | null      timestamp when `running` started thinking
+//   }
+//
+// Local games start the clocks once White has made the first move. Online
+// games start White's clock as soon as both players are seated, so nobody
+// loses time waiting for an opponent to show up, and White can't hold a
+// game up forever by never moving.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChessTTTClock = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const MINUTE = 60 * 1000;
+  const DAY = 24 * 60 * MINUTE;
+
+  // initialMs + incrementMs (Fischer) or perMoveMs (fresh time every move)
+  const TIME_CONTROLS = {
+    none: { id: "none", label: "No clock" },
+    "1+0": { id: "1+0", label: "1+0", initialMs: 1 * MINUTE, incrementMs: 0 },
+    "3+2": { id: "3+2", label: "3+2", initialMs: 3 * MINUTE, incrementMs: 2000 },
+    "5+0": { id: "5+0", label: "5+0", initialMs: 5 * MINUTE, incrementMs: 0 },
+    "10+5": { id: "10+5", label: "10+5", initialMs: 10 * MINUTE, incrementMs: 5000 },
+    "1d": { id: "1d", label: "1 day / move", perMoveMs: DAY }
+  };
+
+  const DEFAULT_TIME_CONTROL = "none";
+
+  function isTimeControl(id) {
+    return Object.prototype.hasOwnProperty.call(TIME_CONTROLS, id);
+  }
+
+  function getTimeControl(clock) {
+    return TIME_CONTROLS[clock.timeControl];
+  }
+
+  function startingTime(tc) {
+    return tc.perMoveMs || tc.initialMs;
+  }
+
+  // Returns null for "none" so callers can simply test `if (clock)`
+  function createClock(timeControlId) {
+    const tc = TIME_CONTROLS[timeControlId];
+    if (!tc || tc.id === "none") return null;
+    return {
+      timeControl: tc.id,
+      remaining: { X: startingTime(tc), O: startingTime(tc) },
+      running: null,
+      turnStartedAt: null
+    };
+  }
+
+  // Time `player` has left at `now`
+  function getRemaining(clock, player, now) {
+    const base = clock.remaining[player];
+    if (clock.running !== player || clock.turnStartedAt === null) return base;
+    return Math.max(0, base - (now - clock.turnStartedAt));
+  }
+
+  function isFlagged(clock, now) {
+    return clock.running !== null && getRemaining(clock, clock.running, now) <= 0;
+  }
+
+  // Stop whichever clock is running, charging it the time used so far
+  function stopClock(clock, now) {
+    if (clock.running === null) return clock;
+    return {
+      ...clock,
+      remaining: {
+        ...clock.remaining,
+        [clock.running]: getRemaining(clock, clock.running, now)
+      },
+      running: null,
+      turnStartedAt: null
+    };
+  }
+
+  // `mover` just completed an action and `next` is to play. When no clock
+  // is running yet (White's first move in a local game), this only starts
+  // Black's.
+  function switchTurn(clock, mover, next, now) {
+    const tc = getTimeControl(clock);
+    const remaining = { ...clock.remaining };
+
+    if (clock.running === mover) {
+      remaining[mover] = getRemaining(clock, mover, now) + (tc.incrementMs || 0);
+    }
+    if (tc.perMoveMs) {
+      remaining[next] = tc.perMoveMs;
+    }
+
+    return { ...clock, remaining, running: next, turnStartedAt: now };
+  }
+
+  // Start `player`'s clock on a clock that isn't running
+  function startClock(clock, player, now) {
+    return { ...clock, running: player, turnStartedAt: now };
+  }
+
+  // Hand the move back to `player` after a takeback: time already used
+  // stays used, and no increment or fresh per-move time is given.
+  // `player` is null when a local game is back before White's first move.
+  function rewindTurn(clock, player, now) {
+    const stopped = stopClock(clock, now);
+    if (player === null) return stopped;
+    return startClock(stopped, player, now);
+  }
+
+  // Copy of the clock as seen at `now`, ready to send over the wire.
+  // The receiver rebases turnStartedAt onto its own time.
+  function clockView(clock, now) {
+    if (clock.running === null) return { ...clock, remaining: { ...clock.remaining } };
+    return {
+      ...clock,
+      remaining: {
+        ...clock.remaining,
+        [clock.running]: getRemaining(clock, clock.running, now)
+      },
+      turnStartedAt: now
+    };
+  }
+
+  // m:ss, with tenths under ten seconds and h:mm:ss for long controls
+  function formatTime(ms) {
+    const clamped = Math.max(0, ms);
+    if (clamped < 10 * 1000) {
+      return "0:0" + (Math.floor(clamped / 100) / 10).toFixed(1);
+    }
+    const totalSeconds = Math.ceil(clamped / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = n => (n < 10 ? "0" : "") + n;
+    if (hours > 0) return hours + ":" + pad(minutes) + ":" + pad(seconds);
+    return minutes + ":" + pad(seconds);
+  }
+
+  return {
+    TIME_CONTROLS,
+    DEFAULT_TIME_CONTROL,
+    isTimeControl,
+    createClock,
+    getRemaining,
+    isFlagged,
+    stopClock,
+    startClock,
+    switchTurn,
+    rewindTurn,
+    clockView,
+    formatTime
+  };
+});
@@ -0,0 +1,28 @@
+// Runs engine.js searches off the main thread so the board stays
+// responsive while the AI thinks.
+//
+// In:  { id, state, level }                  find the action to play
+//      { id, state, level, analyze: true }   score every action
+// Out: { id, type: "progress", depth, action, score }  after every iteration
+//      { id, type: "done", action }                     the action to play
+//      { id, type: "analysis", scored, depth }          for analyze requests
+//
+// The page "moves now" by playing the last progress action and
+// terminating the worker; a search can't be interrupted any other way.
+
+importScripts("rules.js", "engine.js");
+
+self.onmessage = function (event) {
+  const { id, state, level, analyze } = event.data;
+  if (analyze) {
+    const { scored, depth } = ChessTTTEngine.analyzeActions(state, level);
+    self.postMessage({ id, type: "analysis", scored, depth });
+    return;
+  }
+  const action = ChessTTTEngine.chooseAction(state, level, {
+    onDepth(info) {
+      self.postMessage({ id, type: "progress", ...info });
+    }
+  });
+  self.postMessage({ id, type: "done", action });
+};
@@ -0,0 +1,644 @@
+// AI player for Chess Tic‑Tac‑Toe: alpha-beta search over rules.js with a
+// heuristic evaluation, usable from game.js, engine-worker.js or any
+// other script.
+//
+// Scores are always from the point of view of the side to move
+// (negamax): positive is good for the player whose turn it is.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rules"));
+  } else {
+    root.ChessTTTEngine = factory(root.ChessTTTRules);
+  }
+})(typeof self !== "undefined" ? self : this, function (rules) {
+  const {
+    PLAYER_X,
+    PLAYER_O,
+    BOARD_SIZE,
+    BOARD_CELLS,
+    WIN_LINES,
+    otherPlayer,
+    indexToRowCol,
+    cloneBoard,
+    clonePools,
+    canMovePieces,
+    initialPawnDir,
+    getLegalMoves,
+    getAllActions
+  } = rules;
+
+  // Anything at or beyond WIN_SCORE - BOARD_CELLS * 4 is a forced win
+  const WIN_SCORE = 10000;
+
+  // Evaluation weights
+  const LINE_WEIGHTS = [0, 1, 5, 25]; // open line holding 1, 2 or 3 of our pieces
+  const THREAT_WEIGHT = 60; // three in a line and the fourth cell empty
+  const BOARD_PIECE_WEIGHT = 6; // a piece on the board rather than in the pool
+  const MOBILITY_WEIGHT = 1; // per legal move once moving is unlocked
+  const PAWN_FACING_CENTER_WEIGHT = 3; // a pawn whose next step is a middle row
+  const TEMPO_WEIGHT = 4; // having the move
+
+  // depth: deepest iteration searched; timeMs: budget per move, after
+  // which the deepest finished iteration is played; noise: random score
+  // spread at the root, so weaker levels make human-looking mistakes
+  const AI_LEVELS = {
+    easy: { id: "easy", label: "Easy", depth: 1, timeMs: 500, noise: 80 },
+    medium: { id: "medium", label: "Medium", depth: 3, timeMs: 1500, noise: 10 },
+    hard: { id: "hard", label: "Hard", depth: 12, timeMs: 3000, noise: 0 },
+    // Plays from the tablebase (tablebase.js); only offered when the server
+    // has one, and searches like "hard" when a lookup comes back empty
+    perfect: { id: "perfect", label: "Perfect", depth: 12, timeMs: 3000, noise: 0, tablebase: true }
+  };
+
+  const DEFAULT_AI_LEVEL = "medium";
+
+  // Thrown from deep inside the search when the time budget is used up
+  const OUT_OF_TIME = { outOfTime: true };
+
+  // Nodes searched between two looks at the clock
+  const TIME_CHECK_INTERVAL = 512;
+
+  function isAiLevel(id) {
+    return Object.prototype.hasOwnProperty.call(AI_LEVELS, id);
+  }
+
+  /****************************************************
+   * Evaluation
+   ****************************************************/
+
+  // Open lines and immediate four-in-a-row threats for both sides
+  function evaluateLines(b, player) {
+    let score = 0;
+    for (let i = 0; i < WIN_LINES.length; i++) {
+      const line = WIN_LINES[i];
+      let mine = 0;
+      let theirs = 0;
+      for (let j = 0; j < line.length; j++) {
+        const cell = b[line[j]];
+        if (!cell) continue;
+        if (cell.player === player) mine++;
+        else theirs++;
+      }
+      // A line both sides occupy can't be completed without a capture
+      if (mine && theirs) continue;
+      if (mine === 3) score += THREAT_WEIGHT;
+      if (theirs === 3) score -= THREAT_WEIGHT;
+      score += LINE_WEIGHTS[mine] - LINE_WEIGHTS[theirs];
+    }
+    return score;
+  }
+
+  function evaluatePieces(b, player) {
+    let score = 0;
+    for (let i = 0; i < BOARD_CELLS; i++) {
+      const cell = b[i];
+      if (!cell) continue;
+      const sign = cell.player === player ? 1 : -1;
+      score += sign * BOARD_PIECE_WEIGHT;
+
+      if (cell.type === "P") {
+        const nextRow = indexToRowCol(i).row - cell.dir;
+        if (nextRow > 0 && nextRow < BOARD_SIZE - 1) {
+          score += sign * PAWN_FACING_CENTER_WEIGHT;
+        }
+      }
+    }
+    return score;
+  }
+
+  function evaluateMobility(b, p, player) {
+    if (!canMovePieces(b)) return 0;
+    const mine = getLegalMoves(b, p, player).length;
+    const theirs = getLegalMoves(b, p, otherPlayer(player)).length;
+    return (mine - theirs) * MOBILITY_WEIGHT;
+  }
+
+  // Static score of a non-terminal position for `player`, who is to move
+  function evaluate(b, p, player) {
+    return (
+      evaluateLines(b, player) +
+      evaluatePieces(b, player) +
+      evaluateMobility(b, p, player) +
+      TEMPO_WEIGHT
+    );
+  }
+
+  /****************************************************
+   * Zobrist hashing
+   ****************************************************/
+
+  // Every (cell, piece) pair, pool piece and the side to move gets a random
+  // 64-bit key, kept as two 32-bit halves. A position's hash is the XOR of
+  // its keys, so making or unmaking an action updates it in a few XORs.
+  // Pawns walking up and down are different pieces.
+  const PIECE_KINDS = ["R", "N", "B", "P+", "P-"];
+  const PLAYERS = [PLAYER_X, PLAYER_O];
+
+  // Fixed seed: the same keys in every tab and worker
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return (t ^ (t >>> 14)) >>> 0;
+    };
+  }
+
+  const nextKey = createRandom(0x43545454);
+  const PIECE_KEYS = [new Uint32Array(BOARD_CELLS * 10), new Uint32Array(BOARD_CELLS * 10)];
+  const POOL_KEYS = [new Uint32Array(PLAYERS.length * 4), new Uint32Array(PLAYERS.length * 4)];
+  const SIDE_KEYS = [nextKey(), nextKey()];
+  [PIECE_KEYS, POOL_KEYS].forEach(([low, high]) => {
+    for (let i = 0; i < low.length; i++) {
+      low[i] = nextKey();
+      high[i] = nextKey();
+    }
+  });
+
+  function pieceKeyIndex(index, cell) {
+    const kind = cell.type === "P" ? (cell.dir > 0 ? "P+" : "P-") : cell.type;
+    return (index * PLAYERS.length + PLAYERS.indexOf(cell.player)) * PIECE_KINDS.length +
+      PIECE_KINDS.indexOf(kind);
+  }
+
+  function poolKeyIndex(player, type) {
+    return PLAYERS.indexOf(player) * 4 + "RNBP".indexOf(type);
+  }
+
+  function togglePiece(pos, index, cell) {
+    const k = pieceKeyIndex(index, cell);
+    pos.hashLow ^= PIECE_KEYS[0][k];
+    pos.hashHigh ^= PIECE_KEYS[1][k];
+  }
+
+  function togglePool(pos, player, type) {
+    const k = poolKeyIndex(player, type);
+    pos.hashLow ^= POOL_KEYS[0][k];
+    pos.hashHigh ^= POOL_KEYS[1][k];
+  }
+
+  function toggleSide(pos) {
+    pos.hashLow ^= SIDE_KEYS[0];
+    pos.hashHigh ^= SIDE_KEYS[1];
+  }
+
+  /****************************************************
+   * Search position: make / unmake
+   ****************************************************/
+
+  // Mutable copy of a rules.js state that the search plays actions on and
+  // takes them back again, instead of cloning the board at every node.
+  // It carries the state's draw counters along: plies without progress,
+  // and how often each position has occurred (in the game so far, then on
+  // the line being searched), by hash.
+  function createSearchPosition(state) {
+    const pos = {
+      board: cloneBoard(state.board),
+      pools: clonePools(state.pools),
+      player: state.currentPlayer,
+      pieceCount: 0,
+      hashLow: 0,
+      hashHigh: 0,
+      noProgress: 0,
+      noProgressLimit: Infinity,
+      seen: new Map()
+    };
+    pos.board.forEach((cell, index) => {
+      if (!cell) return;
+      pos.pieceCount++;
+      togglePiece(pos, index, cell);
+    });
+    PLAYERS.forEach(player => {
+      pos.pools[player].forEach(type => togglePool(pos, player, type));
+    });
+    if (pos.player === PLAYER_O) toggleSide(pos);
+
+    const counters = state.drawCounters;
+    if (counters) {
+      pos.noProgress = counters.noProgressCount;
+      pos.noProgressLimit = counters.noProgressLimit;
+      Object.keys(counters.positionCounts).forEach(key => {
+        addSeen(pos.seen, createSearchPosition(parsePositionKey(key)), counters.positionCounts[key]);
+      });
+    }
+    return pos;
+  }
+
+  // The board, pools and side to move from a rules.js positionKey()
+  function parsePositionKey(key) {
+    const [cells, poolX, poolO, player] = key.split("|");
+    const board = cells.split(",").map(cell => {
+      if (cell === ".") return null;
+      const piece = { player: cell[0], type: cell[1] };
+      if (piece.type === "P") piece.dir = cell[2] === "+" ? 1 : -1;
+      return piece;
+    });
+    const pools = { [PLAYER_X]: poolX.split(""), [PLAYER_O]: poolO.split("") };
+    return { board, pools, currentPlayer: player };
+  }
+
+  // How often the position `pos` is in now has occurred
+  function seenCount(seen, pos) {
+    const entry = seen.get(pos.hashLow);
+    return entry && entry.hashHigh === pos.hashHigh ? entry.count : 0;
+  }
+
+  function addSeen(seen, pos, count) {
+    const total = seenCount(seen, pos) + count;
+    if (total > 0) seen.set(pos.hashLow, { hashHigh: pos.hashHigh, count: total });
+    else seen.delete(pos.hashLow);
+  }
+
+  // Plays a legal action for pos.player and returns what unmakeAction
+  // needs to take it back
+  function makeAction(pos, action) {
+    const player = pos.player;
+    const undo = { action, hashLow: pos.hashLow, hashHigh: pos.hashHigh, noProgress: pos.noProgress };
+
+    if (action.kind === "place") {
+      pos.noProgress = 0;
+      const pool = pos.pools[player];
+      undo.poolIndex = pool.indexOf(action.type);
+      pool.splice(undo.poolIndex, 1);
+      const piece = { player, type: action.type };
+      if (action.type === "P") piece.dir = initialPawnDir(player, action.index);
+      pos.board[action.index] = piece;
+      pos.pieceCount++;
+      togglePool(pos, player, action.type);
+      togglePiece(pos, action.index, piece);
+    } else {
+      const moved = pos.board[action.from];
+      const captured = pos.board[action.to];
+      undo.moved = moved;
+      undo.captured = captured;
+      pos.noProgress = captured ? 0 : pos.noProgress + 1;
+
+      if (captured) {
+        // Captured pieces return to their owner's pool
+        pos.pools[captured.player].push(captured.type);
+        pos.pieceCount--;
+        togglePiece(pos, action.to, captured);
+        togglePool(pos, captured.player, captured.type);
+      }
+
+      let arrived = moved;
+      const { row } = indexToRowCol(action.to);
+      if (moved.type === "P" && (row === 0 || row === BOARD_SIZE - 1)) {
+        arrived = { ...moved, dir: -moved.dir };
+      }
+      pos.board[action.from] = null;
+      pos.board[action.to] = arrived;
+      togglePiece(pos, action.from, moved);
+      togglePiece(pos, action.to, arrived);
+    }
+
+    pos.player = otherPlayer(player);
+    toggleSide(pos);
+    return undo;
+  }
+
+  function unmakeAction(pos, undo) {
+    const { action } = undo;
+    pos.player = otherPlayer(pos.player);
+
+    if (action.kind === "place") {
+      pos.board[action.index] = null;
+      pos.pools[pos.player].splice(undo.poolIndex, 0, action.type);
+      pos.pieceCount--;
+    } else {
+      pos.board[action.from] = undo.moved;
+      pos.board[action.to] = undo.captured;
+      if (undo.captured) {
+        pos.pools[undo.captured.player].pop();
+        pos.pieceCount++;
+      }
+    }
+
+    pos.hashLow = undo.hashLow;
+    pos.hashHigh = undo.hashHigh;
+    pos.noProgress = undo.noProgress;
+  }
+
+  // Lines through each cell, for checks that only look at what just changed
+  const LINES_BY_CELL = [];
+  for (let i = 0; i < BOARD_CELLS; i++) {
+    LINES_BY_CELL.push(WIN_LINES.filter(line => line.indexOf(i) !== -1));
+  }
+
+  // Only the piece that just arrived on `index` can have completed a line
+  function isWinAt(b, index) {
+    const cell = b[index];
+    if (!cell) return false;
+    return LINES_BY_CELL[index].some(line =>
+      line.every(i => b[i] && b[i].player === cell.player)
+    );
+  }
+
+  function actionTarget(action) {
+    return action.kind === "place" ? action.index : action.to;
+  }
+
+  function sameAction(a, b) {
+    return (
+      a.kind === b.kind &&
+      (a.kind === "place"
+        ? a.index === b.index && a.type === b.type
+        : a.from === b.from && a.to === b.to)
+    );
+  }
+
+  /****************************************************
+   * Move ordering
+   ****************************************************/
+
+  const ORDER_TT_MOVE = 1000000;
+  const ORDER_WINNING = 100000; // completes four in a row
+  const ORDER_BLOCKING = 50000; // lands in (or captures out of) a line the opponent has 3 in
+  const ORDER_CAPTURE = 1000;
+  const ORDER_KILLER = 500; // caused a cutoff at the same ply elsewhere in the tree
+  const ORDER_CENTER = 10;
+  const CENTER_CELLS = [5, 6, 9, 10];
+
+  function orderScore(search, pos, action, ttAction, ply) {
+    if (ttAction && sameAction(action, ttAction)) return ORDER_TT_MOVE;
+
+    const b = pos.board;
+    const to = actionTarget(action);
+    const from = action.kind === "move" ? action.from : -1;
+    let score = 0;
+
+    LINES_BY_CELL[to].forEach(line => {
+      let mine = 0;
+      let theirs = 0;
+      line.forEach(i => {
+        if (i === from || !b[i]) return;
+        if (b[i].player === pos.player) mine++;
+        else theirs++;
+      });
+      if (mine === 3 && theirs === 0) score = Math.max(score, ORDER_WINNING);
+      if (theirs >= 3) score = Math.max(score, ORDER_BLOCKING);
+    });
+
+    if (b[to]) score += ORDER_CAPTURE;
+    const killers = search.killers[ply];
+    if (killers) {
+      if (killers[0] && sameAction(action, killers[0])) score += ORDER_KILLER;
+      else if (killers[1] && sameAction(action, killers[1])) score += ORDER_KILLER - 1;
+    }
+    if (CENTER_CELLS.indexOf(to) !== -1) score += ORDER_CENTER;
+    return score;
+  }
+
+  // Transposition-table move, threats, captures and killers first
+  function orderActions(search, pos, actions, ttAction, ply) {
+    return actions
+      .map(action => ({ action, order: orderScore(search, pos, action, ttAction, ply) }))
+      .sort((a, b) => b.order - a.order)
+      .map(entry => entry.action);
+  }
+
+  function rememberKiller(search, action, ply) {
+    const killers = search.killers[ply] || (search.killers[ply] = [null, null]);
+    if (killers[0] && sameAction(killers[0], action)) return;
+    killers[1] = killers[0];
+    killers[0] = action;
+  }
+
+  /****************************************************
+   * Transposition table
+   ****************************************************/
+
+  const TT_EXACT = 0;
+  const TT_LOWER = 1; // score is at least this (caused a cutoff)
+  const TT_UPPER = 2; // score is at most this (nothing beat alpha)
+
+  // Entries kept before the table is cleared, to bound memory
+  const TT_MAX_ENTRIES = 1 << 18;
+
+  function isDecided(score) {
+    return Math.abs(score) >= WIN_SCORE - BOARD_CELLS * 4;
+  }
+
+  // Win scores depend on the distance from the root; the table stores
+  // them as distance from the stored node instead
+  function toTableScore(score, ply) {
+    if (!isDecided(score)) return score;
+    return score > 0 ? score + ply : score - ply;
+  }
+
+  function fromTableScore(score, ply) {
+    if (!isDecided(score)) return score;
+    return score > 0 ? score - ply : score + ply;
+  }
+
+  // 32 bits of the hash pick the slot (a Map key), the other 32 confirm it
+  function tableKey(pos) {
+    return pos.hashLow;
+  }
+
+  function probeTable(search, pos) {
+    const entry = search.table.get(tableKey(pos));
+    return entry && entry.check === pos.hashHigh ? entry : null;
+  }
+
+  function storeTable(search, pos, depth, score, flag, action, ply) {
+    if (search.table.size >= TT_MAX_ENTRIES) search.table.clear();
+    search.table.set(tableKey(pos), {
+      check: pos.hashHigh,
+      depth,
+      score: toTableScore(score, ply),
+      flag,
+      action
+    });
+  }
+
+  /****************************************************
+   * Search
+   ****************************************************/
+
+  // Score for the side to move after `action`, seen from the side that
+  // played it: a win, a full board, a draw by repetition or by the
+  // no-progress limit (in that order, as in rules.applyAction), or the
+  // opponent's best reply negated
+  function searchAction(search, pos, action, depth, ply, alpha, beta) {
+    const undo = makeAction(pos, action);
+    let score;
+    if (isWinAt(pos.board, actionTarget(action))) {
+      score = WIN_SCORE - (ply + 1);
+    } else if (pos.pieceCount === BOARD_CELLS) {
+      score = 0;
+    } else {
+      addSeen(pos.seen, pos, 1);
+      if (seenCount(pos.seen, pos) >= 3 || pos.noProgress >= pos.noProgressLimit) {
+        score = 0;
+      } else {
+        score = -negamax(search, pos, depth - 1, ply + 1, -beta, -alpha);
+      }
+      addSeen(pos.seen, pos, -1);
+    }
+    unmakeAction(pos, undo);
+    return score;
+  }
+
+  // Negamax with alpha-beta and a transposition table, for pos.player in a
+  // position that isn't over. `ply` is the distance from the root, so
+  // quicker wins (and slower losses) score better. `search` carries the
+  // deadline, table and killers for one searchIterative call.
+  function negamax(search, pos, depth, ply, alpha, beta) {
+    if (++search.nodes % TIME_CHECK_INTERVAL === 0 && search.now() > search.deadline) {
+      throw OUT_OF_TIME;
+    }
+    if (depth === 0) return evaluate(pos.board, pos.pools, pos.player);
+
+    // Scores that a draw rule may cut short depend on how the position was
+    // reached, not just on the position, so they stay out of the table:
+    // within reach of the no-progress limit, or in a position that already
+    // occurred (repeating it again would be a draw)
+    const drawInReach =
+      pos.noProgress + depth >= pos.noProgressLimit || seenCount(pos.seen, pos) > 1;
+    const alphaBefore = alpha;
+    const entry = drawInReach ? null : probeTable(search, pos);
+    if (entry && entry.depth >= depth) {
+      const stored = fromTableScore(entry.score, ply);
+      if (entry.flag === TT_EXACT) return stored;
+      if (entry.flag === TT_LOWER && stored > alpha) alpha = stored;
+      if (entry.flag === TT_UPPER && stored < beta) beta = stored;
+      if (alpha >= beta) return stored;
+    }
+
+    const actions = orderActions(
+      search, pos, getAllActions(pos.board, pos.pools, pos.player), entry && entry.action, ply
+    );
+    if (actions.length === 0) return 0;
+
+    let best = -Infinity;
+    let bestAction = null;
+    for (let i = 0; i < actions.length; i++) {
+      const score = searchAction(search, pos, actions[i], depth, ply, alpha, beta);
+      if (score > best) {
+        best = score;
+        bestAction = actions[i];
+      }
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) {
+        if (!pos.board[actionTarget(actions[i])]) rememberKiller(search, actions[i], ply);
+        break;
+      }
+    }
+
+    if (!drawInReach) {
+      const flag = best <= alphaBefore ? TT_UPPER : best >= beta ? TT_LOWER : TT_EXACT;
+      storeTable(search, pos, depth, best, flag, bestAction, ply);
+    }
+    return best;
+  }
+
+  // Scores `actions` (legal for the side to move in `pos`) searching
+  // `depth` plies in total, and returns [{ action, score }] best first.
+  // With `exact`, every action gets its true score; otherwise only the best
+  // one does and the rest are upper bounds, which is much faster.
+  function scoreActions(search, pos, actions, depth, exact) {
+    let alpha = -Infinity;
+    const scored = actions.map(action => {
+      const score = searchAction(
+        search, pos, action, depth, 0, exact ? -Infinity : alpha, Infinity
+      );
+      if (score > alpha) alpha = score;
+      return { action, score };
+    });
+    // Stable sort keeps the previous iteration's order among equal scores
+    return scored.sort((a, b) => b.score - a.score);
+  }
+
+  // Iterative deepening: searches 1, 2, ... plies until the level's depth,
+  // a forced result, or the time budget. Each iteration tries the previous
+  // one's best actions first. Returns the scores of the deepest finished
+  // iteration as { scored, depth }; scored is [] when there is no legal
+  // action.
+  //
+  // options.now: clock to use (default Date.now)
+  // options.timeMs: override the level's budget
+  // options.onDepth({ depth, action, score }): after every finished iteration
+  // options.exact: score every action exactly, not just the best one
+  function searchIterative(state, level, options = {}) {
+    const now = options.now || Date.now;
+    const timeMs = options.timeMs !== undefined ? options.timeMs : level.timeMs;
+    const search = {
+      deadline: now() + timeMs,
+      now,
+      nodes: 0,
+      table: new Map(),
+      killers: []
+    };
+    const pos = createSearchPosition(state);
+
+    let actions = orderActions(
+      search, pos, getAllActions(pos.board, pos.pools, pos.player), null, 0
+    );
+    let scored = actions.map(action => ({ action, score: 0 }));
+    let depthDone = 0;
+
+    for (let depth = 1; depth <= level.depth && actions.length > 0; depth++) {
+      try {
+        scored = scoreActions(search, pos, actions, depth, level.noise > 0 || options.exact);
+      } catch (err) {
+        if (err !== OUT_OF_TIME) throw err;
+        break;
+      }
+      depthDone = depth;
+      actions = scored.map(entry => entry.action);
+      if (options.onDepth) {
+        options.onDepth({ depth, action: scored[0].action, score: scored[0].score });
+      }
+      if (isDecided(scored[0].score)) break;
+    }
+
+    return { scored, depth: depthDone };
+  }
+
+  // The action `levelId` plays for the side to move, or null if none.
+  // options are passed to searchIterative; options.random is injectable
+  // for repeatable games.
+  function chooseAction(state, levelId, options = {}) {
+    const level = AI_LEVELS[levelId] || AI_LEVELS[DEFAULT_AI_LEVEL];
+    const random = options.random || Math.random;
+    const { scored } = searchIterative(state, level, options);
+    if (scored.length === 0) return null;
+
+    // Never blunder past a forced win or into a forced loss with noise
+    let best = null;
+    let bestScore = -Infinity;
+    scored.forEach(({ action, score }) => {
+      const noisy = isDecided(score) ? score : score + (random() - 0.5) * 2 * level.noise;
+      if (noisy > bestScore) {
+        bestScore = noisy;
+        best = action;
+      }
+    });
+    return best;
+  }
+
+  // Exact scores of every legal action for the side to move, best first,
+  // as { scored, depth }. Slower than chooseAction, which only needs to
+  // know the best one.
+  function analyzeActions(state, levelId, options = {}) {
+    const level = AI_LEVELS[levelId] || AI_LEVELS[DEFAULT_AI_LEVEL];
+    return searchIterative(state, level, { ...options, exact: true });
+  }
+
+  return {
+    WIN_SCORE,
+    AI_LEVELS,
+    DEFAULT_AI_LEVEL,
+    isAiLevel,
+    isDecided,
+    sameAction,
+    evaluate,
+    searchIterative,
+    chooseAction,
+    analyzeActions
+  };
+});
@@ -7,20 +7,77 @@
 // Pawns do not promote; when they reach the far rank, on future
 // moves they walk in the opposite direction.
 
-const PLAYER_X = "X"; // left side
-const PLAYER_O = "O"; // right side
-
-const BOARD_SIZE = 4;
-const BOARD_CELLS = BOARD_SIZE * BOARD_SIZE;
-
-// Piece types used in this variant
-const PIECE_TYPES = ["P", "R", "N", "B"]; // pawn, rook, knight, bishop
+// The rules themselves live in rules.js (shared with server.js).
+const {
+  PLAYER_X, // White
+  PLAYER_O, // Black
+  BOARD_CELLS,
+  END_REASONS,
+  otherPlayer,
+  cloneBoard,
+  clonePools,
+  createInitialState,
+  canMovePieces,
+  getLegalPlacements,
+  getLegalMoves,
+  validateAction,
+  applyAction
+} = ChessTTTRules;
+
+const {
+  TIME_CONTROLS,
+  DEFAULT_TIME_CONTROL,
+  isTimeControl,
+  createClock,
+  getRemaining,
+  isFlagged,
+  stopClock,
+  switchTurn,
+  rewindTurn,
+  formatTime
+} = ChessTTTClock;
+
+const {
+  WIN_SCORE,
+  AI_LEVELS,
+  DEFAULT_AI_LEVEL,
+  isAiLevel,
+  isDecided,
+  sameAction,
+  chooseAction,
+  analyzeActions
+} = ChessTTTEngine;
+
+const {
+  squareName,
+  formatPosition,
+  parsePosition,
+  isStartingPosition,
+  formatAction,
+  getResultTag,
+  formatGame,
+  parseGame
+} = ChessTTTNotation;
+
+const { getBestActions } = ChessTTTTablebase;
 
 // Game state
 let board; // length 16, cells: null or { player, type, dir? }
 let pools; // remaining pieces not yet on the board
 let currentPlayer;
 let gameOver;
+let winner; // PLAYER_X, PLAYER_O or null
+let endReason; // one of END_REASONS once the game is over
+let drawCounters; // repetition / no-progress bookkeeping from rules.js
+let ply; // actions played so far
+let lastAction; // the action that led to the current position, for notation
+
+// Chess clock (clock.js). Local in 2-player mode, mirrored from the server
+// online, null when the game is untimed.
+let clock = null;
+let clockTickTimer = null;
+const TIME_CONTROL_STORAGE_KEY = "ctttTimeControl";
+let selectedTimeControl = loadTimeControl();
 
 // Track last move for visual highlight
 let lastMoveIndex = null; // board index (0–15) of the last move destination
@@ -29,9 +86,21 @@ let lastMoveIndex = null; // board index (0–15) of the last move destination
 let moveHistory = []; // array of snapshots { board, pools, currentPlayer, gameOver }
 let moveIndex = -1; // index into moveHistory; -1 = no moves yet
 
-// Modes: "human" (2 players), "ai" (human vs AI as Black), or "online"
+// Modes: "human" (2 players), "ai" (human vs AI), "demo" (AI vs AI) or "online"
 let gameMode = "online";
 let isAiThinking = false;
+const AI_PLAYER_STORAGE_KEY = "ctttAiPlayer";
+let aiPlayer = loadAiPlayer(); // side the AI plays in "ai" mode
+let demoLevels = { [PLAYER_X]: DEFAULT_AI_LEVEL, [PLAYER_O]: DEFAULT_AI_LEVEL }; // per side in "demo" mode
+let isDemoPlaying = false; // AI vs AI keeps going on its own
+let isAiPaused = false; // the user cancelled the AI's search; it waits to be let move
+let aiWorker = null; // engine-worker.js, created on first use
+let aiSearch = null; // { id, startedAt, depth, action } while the AI is thinking
+let aiSearchId = 0;
+const AI_MIN_THINK_MS = 400;
+const AI_LEVEL_STORAGE_KEY = "ctttAiLevel";
+let selectedAiLevel = loadAiLevel(); // id from engine.js AI_LEVELS
+let hasTablebase = false; // the server has a tablebase, so "Perfect" is offered
 
 // Socket.IO connection for online mode
 let socket = null;
@@ -39,113 +108,133 @@ let onlinePlayerId = null; // "X" or "O" assigned by server
 let roomId = null;
 let isRoomFull = false; // Track if room has 2 players
 let onlineCount = 0; // How many players are online in total
+let isReconnecting = false; // Our own connection dropped mid-game
+let isOpponentReconnecting = false; // Server is holding the opponent's seat
+let isSpectating = false; // Watching someone else's game, read-only
+let spectatorCount = 0; // How many people are watching the current room
+let isBrowsingLobby = false; // Lobby of live rooms is open instead of auto-pairing
+let matchInfo = null; // { score: { X, O }, draws, games, rematchOfferedBy } for the room
+let friendRoom = null; // "create" or an invite code to join instead of auto-pairing
+let inviteCode = null; // Code of our private room, to send to a friend
+let seatNames = { X: null, O: null }; // Names of the players in the room, if they picked one
+let seatRatings = { X: null, O: null }; // Their ratings, for registered players
+let isRatedRoom = false; // Games in this room change both ratings
+let ratingChanges = null; // { X: { before, after }, O } after a rated game
+const RATED_STORAGE_KEY = "ctttRated";
+let wantsRatedGames = loadRatedGames(); // "Rated" chosen for online pairing
+
+// Token that lets us reclaim our seat after a reconnect or page reload
+const SESSION_STORAGE_KEY = "ctttSessionToken";
 
 // UI selection state
 let selectedFromBoardIndex = null; // index of a selected piece to move
+let actionNotice = null; // why the last attempted action was refused
 let selectedPoolPiece = null; // { player, type } chosen from side pool
 
 /****************************************************
  * Helpers
  ****************************************************/
 
-function indexToRowCol(index) {
-  const row = Math.floor(index / BOARD_SIZE);
-  const col = index % BOARD_SIZE;
-  return { row, col };
-}
-
-function rowColToIndex(row, col) {
-  return row * BOARD_SIZE + col;
+function canCurrentPlayerMovePieces() {
+  return canMovePieces(board);
 }
 
-function countPiecesOnBoard(player) {
-  return board.reduce(
-    (acc, cell) => acc + (cell && cell.player === player ? 1 : 0),
-    0
-  );
+// Current position as a rules.js state object
+function getGameState() {
+  return {
+    board,
+    pools,
+    currentPlayer,
+    gameOver,
+    winner,
+    reason: endReason,
+    drawCounters,
+    ply,
+    lastAction
+  };
 }
 
-function bothPlayersHaveThree() {
-  return (
-    countPiecesOnBoard(PLAYER_X) >= 3 && countPiecesOnBoard(PLAYER_O) >= 3
-  );
+// Adopt a rules.js state object (local result or server update)
+function setGameState(state) {
+  board = cloneBoard(state.board);
+  pools = clonePools(state.pools);
+  currentPlayer = state.currentPlayer;
+  gameOver = state.gameOver;
+  winner = state.winner || null;
+  endReason = state.reason || null;
+  ply = state.ply || 0;
+  lastAction = state.lastAction || null;
+  drawCounters = state.drawCounters
+    ? {
+        ...state.drawCounters,
+        positionCounts: { ...state.drawCounters.positionCounts }
+      }
+    : null;
 }
 
-function canCurrentPlayerMovePieces() {
-  return bothPlayersHaveThree();
+function getColorName(player) {
+  return player === PLAYER_X ? "White" : "Black";
 }
 
-/****************************************************
- * Win / draw checks
- ****************************************************/
-
-function checkWinner(b) {
-  const lines = [
-    // rows
-    [0, 1, 2, 3],
-    [4, 5, 6, 7],
-    [8, 9, 10, 11],
-    [12, 13, 14, 15],
-    // columns
-    [0, 4, 8, 12],
-    [1, 5, 9, 13],
-    [2, 6, 10, 14],
-    [3, 7, 11, 15],
-    // diagonals
-    [0, 5, 10, 15],
-    [3, 6, 9, 12]
-  ];
-
-  for (let i = 0; i < lines.length; i++) {
-    const [a, b0, c, d] = lines[i];
-    const first = b[a];
-    if (!first) continue;
-
-    if (
-      b[b0] &&
-      b[c] &&
-      b[d] &&
-      b[b0].player === first.player &&
-      b[c].player === first.player &&
-      b[d].player === first.player
-    ) {
-      return first.player;
+function getResultMessage() {
+  if (winner) {
+    const winnerName = getSideName(winner);
+    const loserName = getSideName(otherPlayer(winner));
+    switch (endReason) {
+      case END_REASONS.DISCONNECT:
+        return winnerName + " wins: " + loserName + " disconnected.";
+      case END_REASONS.TIMEOUT:
+        return winnerName + " wins on time.";
+      case END_REASONS.RESIGNATION:
+        return winnerName + " wins: " + loserName + " resigned.";
+      default:
+        return winnerName + " wins!";
     }
   }
-  return null;
-}
-
-function isBoardFull(b) {
-  return b.every(cell => cell !== null);
+  switch (endReason) {
+    case END_REASONS.THREEFOLD_REPETITION:
+      return "Draw by threefold repetition.";
+    case END_REASONS.AGREEMENT:
+      return "Draw by agreement.";
+    case END_REASONS.MOVE_LIMIT: {
+      // The limit counts the actions of both players together
+      const limit = drawCounters.noProgressLimit;
+      const each = limit % 2 === 0 ? " (" + limit / 2 + " by each player)" : "";
+      return "Draw: " + limit + " actions in a row" + each + " without a placement or capture.";
+    }
+    default:
+      return "Draw!";
+  }
 }
 
 /****************************************************
  * Rendering
  ****************************************************/
 
-function getPieceSvgPath(player, type) {
-  const baseNameMap = {
-    P: "pawn",
-    R: "rook",
-    N: "knight",
-    B: "bishop"
-  };
+const PIECE_NAMES = {
+  P: "pawn",
+  R: "rook",
+  N: "knight",
+  B: "bishop"
+};
 
-  const base = baseNameMap[type];
+function getPieceSvgPath(player, type) {
+  const base = PIECE_NAMES[type];
   if (!base) return null;
 
   const colorSuffix = player === PLAYER_X ? "w" : "b";
   return "pieces-basic-svg/" + base + "-" + colorSuffix + ".svg";
 }
 
+// Black at the bottom when the user plays Black, online or against the
+// AI; spectators and the other modes see White at the bottom
+function isBoardFlipped() {
+  return getUserPlayer() === PLAYER_O;
+}
+
 function getDisplayIndex(boardIndex) {
   // Determine if board should be flipped (when user is Black/O)
-  let shouldFlip = false;
-  if (gameMode === "online" && onlinePlayerId === PLAYER_O) {
-    shouldFlip = true;
-  }
-  
-  if (shouldFlip) {
+  if (isBoardFlipped()) {
     // Flip the board: map 0->15, 1->14, 2->13, etc.
     return BOARD_CELLS - 1 - boardIndex;
   }
@@ -154,18 +243,16 @@ function getDisplayIndex(boardIndex) {
 
 function getBoardIndex(displayIndex) {
   // Reverse mapping: convert display index back to board index
-  let shouldFlip = false;
-  if (gameMode === "online" && onlinePlayerId === PLAYER_O) {
-    shouldFlip = true;
-  }
-  
-  if (shouldFlip) {
+  if (isBoardFlipped()) {
     return BOARD_CELLS - 1 - displayIndex;
   }
   return displayIndex;
 }
 
 function renderBoard() {
+  const hintAction = getHintAction();
+  const selectionTargets = getSelectionTargets();
+
   for (let displayIdx = 0; displayIdx < BOARD_CELLS; displayIdx++) {
     const cellEl = document.getElementById("cell-" + displayIdx);
     if (!cellEl) continue;
@@ -179,7 +266,15 @@ function renderBoard() {
     const contentEl = cellEl.querySelector(".cell-content") || cellEl;
     const cell = board[boardIdx];
 
-    cellEl.classList.remove("cell-x", "cell-o", "cell-selected", "cell-last-move");
+    cellEl.classList.remove(
+      "cell-x", "cell-o", "cell-selected", "cell-last-move", "cell-hint", "cell-legal", "cell-capture"
+    );
+    if (selectionTargets.targets.has(boardIdx)) {
+      cellEl.classList.add(selectionTargets.captures.has(boardIdx) ? "cell-capture" : "cell-legal");
+    }
+    if (hintAction && isHintCell(hintAction, boardIdx)) {
+      cellEl.classList.add("cell-hint");
+    }
 
     // Remove any existing pawn direction arrow
     const existingArrow = cellEl.querySelector(".pawn-direction-arrow");
@@ -218,7 +313,7 @@ function renderBoard() {
         const arrowEl = document.createElement("div");
         arrowEl.className = "pawn-direction-arrow";
         // Determine if board is flipped (opponent's perspective in online mode)
-        const isFlipped = gameMode === "online" && onlinePlayerId === PLAYER_O;
+        const isFlipped = isBoardFlipped();
         // For user: dir > 0 = ↑, dir < 0 = ↓
         // For opponent (flipped): dir > 0 = ↓, dir < 0 = ↑
         const displayDir = isFlipped ? -cell.dir : cell.dir;
@@ -233,6 +328,12 @@ function renderBoard() {
         arrowEl.style.pointerEvents = "none";
         cellEl.appendChild(arrowEl);
       }
+    } else if (hintAction && hintAction.kind === "place" && hintAction.index === boardIdx) {
+      // A faded copy of the piece the hint suggests placing here
+      contentEl.innerHTML =
+        '<img class="hint-ghost" src="' +
+        getPieceSvgPath(currentPlayer, hintAction.type) +
+        '" alt="Hint" />';
     } else {
       contentEl.textContent = "";
     }
@@ -247,6 +348,20 @@ function renderBoard() {
   }
 
   updateStatus();
+  renderAnalysisPanel();
+}
+
+// The side shown at the bottom of the board (pool and clock)
+function getUserPlayer() {
+  if (gameMode === "online" && onlinePlayerId && !isSpectating) {
+    return onlinePlayerId;
+  }
+  // In AI mode, the user plays whichever side the AI doesn't
+  if (gameMode === "ai") {
+    return otherPlayer(aiPlayer);
+  }
+  // In local 2-player and AI-vs-AI mode, White is at the bottom
+  return PLAYER_X;
 }
 
 function renderPiecePools() {
@@ -254,14 +369,8 @@ function renderPiecePools() {
   const topContainer = document.getElementById("ai-pieces");
 
   // Determine which player the user controls
-  let userPlayer = PLAYER_X; // Default: user is White (X)
-  if (gameMode === "online" && onlinePlayerId) {
-    userPlayer = onlinePlayerId;
-  }
-  // In AI mode, user is always X
-  // In local 2-player mode, user can be either, but we'll default to X on bottom
-
-  const opponentPlayer = userPlayer === PLAYER_X ? PLAYER_O : PLAYER_X;
+  const userPlayer = getUserPlayer();
+  const opponentPlayer = otherPlayer(userPlayer);
 
   // Top container shows opponent's pieces
   if (topContainer) {
@@ -282,6 +391,28 @@ function renderPiecePools() {
   }
 }
 
+function renderClocks() {
+  const userPlayer = getUserPlayer();
+  const clockEls = [
+    [document.getElementById("human-clock"), userPlayer],
+    [document.getElementById("ai-clock"), otherPlayer(userPlayer)]
+  ];
+  const now = Date.now();
+
+  clockEls.forEach(([el, player]) => {
+    if (!el) return;
+    if (!clock) {
+      el.style.display = "none";
+      return;
+    }
+    const remaining = getRemaining(clock, player, now);
+    el.style.display = "";
+    el.textContent = formatTime(remaining);
+    el.classList.toggle("clock-active", clock.running === player && !gameOver);
+    el.classList.toggle("clock-low", remaining < 10 * 1000);
+  });
+}
+
 function createPieceElement(player, type) {
   const container = document.createElement("div");
   container.className = "piece-slot";
@@ -309,13 +440,14 @@ function createPieceElement(player, type) {
     if (player !== currentPlayer) return;
     // In online mode, don't allow piece selection if room is not full yet
     if (gameMode === "online" && !isRoomFull) return;
-    // In AI mode, only allow White (human) to select from the pool
-    if (gameMode === "ai" && currentPlayer === PLAYER_O) return;
+    // Pieces of an AI-played side can't be picked up
+    if (isAiControlled(currentPlayer)) return;
     // In online mode, only allow your own pieces
     if (gameMode === "online" && player !== onlinePlayerId) return;
     selectedPoolPiece = { player, type };
     selectedFromBoardIndex = null;
-    updateStatus();
+    actionNotice = null;
+    renderBoard();
   });
 
   return container;
@@ -324,11 +456,16 @@ function createPieceElement(player, type) {
 function updateStatus() {
   const statusEl = document.getElementById("status");
   if (!statusEl) return;
+  renderMatchPanel();
+  renderOfferPanel();
+  renderInvitePanel();
+  renderChatPanel();
 
   if (gameOver) {
-    statusEl.textContent = "Game over";
+    statusEl.textContent = getResultMessage();
     return;
   }
+  statusEl.classList.remove("status-strong");
 
   const canMove = canCurrentPlayerMovePieces();
   const poolCount = pools[currentPlayer].length;
@@ -338,12 +475,24 @@ function updateStatus() {
       : "Move one of your pieces."
     : "Place a piece.";
 
-  const colorName = currentPlayer === PLAYER_X ? "White" : "Black";
+  const colorName = getRatedSideName(currentPlayer);
   let modeLabel = "";
   if (gameMode === "ai") {
     modeLabel = " (vs AI)";
+  } else if (gameMode === "demo") {
+    modeLabel = " (AI vs AI)";
   } else if (gameMode === "online") {
-    if (!isRoomFull) {
+    if (isSpectating) {
+      modeLabel = " (Spectating)";
+    } else if (isBrowsingLobby) {
+      modeLabel = " (Choose a game to watch)";
+    } else if (isReconnecting) {
+      modeLabel = " (Connection lost, reconnecting...)";
+    } else if (isOpponentReconnecting) {
+      modeLabel = " (Opponent disconnected, holding their seat...)";
+    } else if (!isRoomFull && inviteCode) {
+      modeLabel = " (Waiting for your friend to join...)";
+    } else if (!isRoomFull) {
       modeLabel = " (Waiting for opponent...)";
     } else if (onlinePlayerId && currentPlayer === onlinePlayerId) {
       modeLabel = " (Your turn)";
@@ -353,13 +502,22 @@ function updateStatus() {
       modeLabel = " (Online - connecting...)";
     }
   }
-  const onlineInfo =
+  let onlineInfo =
     gameMode === "online" && onlineCount > 0
       ? ` [${onlineCount} online]`
       : "";
+  if (gameMode === "online" && roomId && spectatorCount > 0) {
+    onlineInfo += ` [${spectatorCount} watching]`;
+  }
+  if (gameMode === "online" && roomId && isRatedRoom) {
+    onlineInfo += " [Rated]";
+  }
 
   statusEl.textContent =
     colorName + " to play" + modeLabel + onlineInfo + ". " + movePart;
+  if (actionNotice) {
+    statusEl.textContent = actionNotice + " " + statusEl.textContent;
+  }
 
   // If we're viewing an old position in the move history, annotate status
   if (moveHistory.length > 0 && moveIndex >= 0 && moveIndex !== moveHistory.length - 1) {
@@ -381,6 +539,7 @@ function endGame(message) {
     statusEl.classList.add("status-strong");
   }
   gameOver = true;
+  renderMatchPanel();
   showConfetti();
 }
 
@@ -450,8 +609,8 @@ function onPoolPieceDragStart(event) {
   if (player !== currentPlayer || gameOver) return;
   // In online mode, don't allow piece selection if room is not full yet
   if (gameMode === "online" && !isRoomFull) return;
-  // In AI mode, human can only control White (PLAYER_X)
-  if (gameMode === "ai" && currentPlayer === PLAYER_O) return;
+  // The human can only control the side the AI isn't playing
+  if (isAiControlled(currentPlayer)) return;
   // In online mode, only allow your own pieces
   if (gameMode === "online" && player !== onlinePlayerId) return;
 
@@ -463,13 +622,18 @@ function onPoolPieceDragStart(event) {
 
   selectedPoolPiece = { player, type };
   selectedFromBoardIndex = null;
+  actionNotice = null;
+  renderBoard();
 }
 
 function onCellDragOver(event) {
   if (gameOver) return;
   if (gameMode === "online" && !isRoomFull) return;
-  if (gameMode === "ai" && currentPlayer === PLAYER_O) return;
+  if (isAiControlled(currentPlayer)) return;
   if (gameMode === "online" && currentPlayer !== onlinePlayerId) return;
+  // Only legal squares accept the drop
+  const displayIndex = parseInt(event.currentTarget.id.slice("cell-".length), 10);
+  if (!getSelectionTargets().targets.has(getBoardIndex(displayIndex))) return;
   event.preventDefault();
   event.dataTransfer.dropEffect = "move";
 }
@@ -480,7 +644,7 @@ function onCellDrop(event, index) {
   // Don't allow editing while viewing historical position
   if (moveHistory.length > 0 && moveIndex !== moveHistory.length - 1) return;
   if (gameMode === "online" && !isRoomFull) return;
-  if (gameMode === "ai" && currentPlayer === PLAYER_O) return;
+  if (isAiControlled(currentPlayer)) return;
   if (gameMode === "online" && currentPlayer !== onlinePlayerId) return;
 
   const raw = event.dataTransfer.getData("text/plain");
@@ -495,7 +659,11 @@ function onCellDrop(event, index) {
   const { player, type } = data;
 
   if (player !== currentPlayer) return;
-  if (board[index] !== null) return; // cannot place and capture
+  if (board[index] !== null) {
+    // Placing can't capture
+    rejectAction({ kind: "place", index, type });
+    return;
+  }
 
   placePiece(player, type, index);
 }
@@ -519,23 +687,9 @@ function placePiece(player, type, index) {
     return;
   }
 
-  const pool = pools[player];
-  const idx = pool.indexOf(type);
-  if (idx === -1) return;
-
-  const piece = { player, type };
-  if (type === "P") {
-    // Initial direction: X pawns go "down" (increasing row),
-    // O pawns go "up" (decreasing row).
-    piece.dir = player === PLAYER_X ? 1 : -1;
-    if(([12, 13, 14, 15].includes(index) && player === PLAYER_O) || ([0, 1, 2, 3].includes(index) && player === PLAYER_X)){
-      piece.dir = -1 * piece.dir;
-      console.log('piece.dir', piece.dir);
-    }
-  }
-
-  board[index] = piece;
-  pool.splice(idx, 1);
+  const action = { kind: "place", index, type };
+  if (validateAction(getGameState(), player, action)) return;
+  applyLocalAction(action);
 
   selectedPoolPiece = null;
   selectedFromBoardIndex = null;
@@ -546,52 +700,34 @@ function placePiece(player, type, index) {
   afterAction();
 }
 
+// Play a validated action in local / AI mode and punch the clock
+function applyLocalAction(action) {
+  const mover = currentPlayer;
+  setGameState(applyAction(getGameState(), action));
+  if (clock) {
+    clock = gameOver
+      ? stopClock(clock, Date.now())
+      : switchTurn(clock, mover, currentPlayer, Date.now());
+  }
+}
+
 function tryMovePiece(fromIndex, toIndex) {
   if (gameOver) return false;
   // Don't allow editing while viewing historical position
   if (moveHistory.length > 0 && moveIndex !== moveHistory.length - 1) return false;
-  if (!canCurrentPlayerMovePieces()) return false;
 
-  const fromCell = board[fromIndex];
-  if (!fromCell || fromCell.player !== currentPlayer) return false;
-  if (fromIndex === toIndex) return false;
-
-  const toCell = board[toIndex];
-  if (toCell && toCell.player === currentPlayer) return false;
-
-  if (!isLegalMove(fromIndex, toIndex, fromCell)) {
-    return false;
-  }
+  const action = { kind: "move", from: fromIndex, to: toIndex };
+  if (validateAction(getGameState(), currentPlayer, action)) return false;
 
   // In online mode, emit to server instead of applying locally
   if (gameMode === "online" && socket) {
     if (!isRoomFull) return false; // Don't allow moves if waiting for opponent
-    if (fromCell.player !== onlinePlayerId) return false;
+    if (currentPlayer !== onlinePlayerId) return false;
     socket.emit("makeMove", { action: "move", fromIndex, toIndex });
     return true;
   }
 
-  // If we are capturing an opponent piece, return it to that player's pool
-  if (toCell && toCell.player !== currentPlayer) {
-    if (pools && pools[toCell.player]) {
-      pools[toCell.player].push(toCell.type);
-    }
-  }
-
-  // Execute move (captures allowed here)
-  board[toIndex] = { ...fromCell };
-  board[fromIndex] = null;
-
-  // Pawn direction reversal when it reaches any board edge.
-  // Only reverse once: after the first reversal, it keeps that direction.
-  if (fromCell.type === "P" && typeof fromCell.dir === "number") {
-    const { row } = indexToRowCol(toIndex);
-    const atRowEdge = row === 0 || row === BOARD_SIZE - 1;
-  
-    if (atRowEdge) {
-      board[toIndex].dir = -1 * fromCell.dir;
-    }
-  }
+  applyLocalAction(action);
 
   selectedFromBoardIndex = null;
   selectedPoolPiece = null;
@@ -603,655 +739,2308 @@ function tryMovePiece(fromIndex, toIndex) {
   return true;
 }
 
-function isLegalMove(fromIndex, toIndex, piece) {
-  const { row: fr, col: fc } = indexToRowCol(fromIndex);
-  const { row: tr, col: tc } = indexToRowCol(toIndex);
+function getAllLegalPlacementsFor(player, type) {
+  return getAllLegalPlacements(player).filter(placement => placement.type === type);
+}
 
-  const dr = tr - fr;
-  const dc = tc - fc;
+// Where the selected board or pool piece may go, as sets of board indexes;
+// captures are targets too
+function getSelectionTargets() {
+  const targets = new Set();
+  const captures = new Set();
+  if (gameOver || isAiControlled(currentPlayer)) return { targets, captures };
+  // Nothing can be played while viewing an earlier position
+  if (moveHistory.length > 0 && moveIndex !== moveHistory.length - 1) {
+    return { targets, captures };
+  }
 
-  switch (piece.type) {
-    case "R":
-      return isLegalRookMove(fr, fc, tr, tc);
-    case "B":
-      return isLegalBishopMove(fr, fc, tr, tc);
-    case "N":
-      return isLegalKnightMove(dr, dc);
-    case "P":
-      return isLegalPawnMove(fr, fc, tr, tc, piece);
-    default:
-      return false;
+  if (selectedFromBoardIndex !== null) {
+    getAllLegalMoves(currentPlayer).forEach(({ from, to }) => {
+      if (from !== selectedFromBoardIndex) return;
+      targets.add(to);
+      if (board[to]) captures.add(to);
+    });
+  } else if (selectedPoolPiece && selectedPoolPiece.player === currentPlayer) {
+    getAllLegalPlacementsFor(currentPlayer, selectedPoolPiece.type).forEach(({ index }) => {
+      targets.add(index);
+    });
   }
+  return { targets, captures };
 }
 
-function isLegalRookMove(fr, fc, tr, tc) {
-  if (fr !== tr && fc !== tc) return false;
+const MOVE_RULES = {
+  P: "A pawn steps one square the way its arrow points, or captures one square diagonally that way.",
+  R: "A rook moves along its row or column and can't jump over pieces.",
+  N: "A knight jumps two squares one way and one square the other.",
+  B: "A bishop moves diagonally and can't jump over pieces."
+};
+
+// Why the side to move can't play `action`, in words for the status line
+function describeRejection(action) {
+  const reason = validateAction(getGameState(), currentPlayer, action);
+  if (!reason) return null;
+  if (reason === "Cannot move yet") {
+    return "Pieces can move once both sides have three on the board.";
+  }
+  if (reason === "Cell is not empty") {
+    return "Pieces can only be placed on empty squares.";
+  }
+  if (reason === "Illegal move" && action.kind === "move" && board[action.from]) {
+    return (
+      `${squareName(action.from)} to ${squareName(action.to)} isn't a legal move. ` +
+      MOVE_RULES[board[action.from].type]
+    );
+  }
+  return reason + ".";
+}
 
-  const stepRow = fr === tr ? 0 : tr > fr ? 1 : -1;
-  const stepCol = fc === tc ? 0 : tc > fc ? 1 : -1;
+function rejectAction(action) {
+  actionNotice = describeRejection(action);
+  renderBoard();
+}
 
-  let r = fr + stepRow;
-  let c = fc + stepCol;
+/****************************************************
+ * AI (engine.js)
+ * In "ai" mode the AI plays `aiPlayer` and the human the other side;
+ * in "demo" mode two AIs play each other at their own levels.
+ ****************************************************/
 
-  while (r !== tr || c !== tc) {
-    const idx = rowColToIndex(r, c);
-    if (board[idx] !== null) return false;
-    r += stepRow;
-    c += stepCol;
-  }
+function isAiControlled(player) {
+  return gameMode === "demo" || (gameMode === "ai" && player === aiPlayer);
+}
 
-  return true;
+function getAiLevelFor(player) {
+  return gameMode === "demo" ? demoLevels[player] : selectedAiLevel;
 }
 
-function isLegalBishopMove(fr, fc, tr, tc) {
-  const dr = tr - fr;
-  const dc = tc - fc;
+function getBestAiAction() {
+  return chooseAction(getGameState(), getAiLevelFor(currentPlayer));
+}
 
-  if (Math.abs(dr) !== Math.abs(dc) || dr === 0) return false;
+function loadAiPlayer() {
+  try {
+    const stored = window.localStorage.getItem(AI_PLAYER_STORAGE_KEY);
+    if (stored === PLAYER_X || stored === PLAYER_O) return stored;
+  } catch {
+    // Storage unavailable: fall back to the default
+  }
+  return PLAYER_O;
+}
 
-  const stepRow = dr > 0 ? 1 : -1;
-  const stepCol = dc > 0 ? 1 : -1;
+// Chosen from the controls; starts a new game against the AI on that side
+function setAiPlayer(player) {
+  if (player !== PLAYER_X && player !== PLAYER_O) return;
+  aiPlayer = player;
+  try {
+    window.localStorage.setItem(AI_PLAYER_STORAGE_KEY, player);
+  } catch {
+    // Not persisted; still used for this session
+  }
+  setGameMode("ai");
+}
 
-  let r = fr + stepRow;
-  let c = fc + stepCol;
+function renderAiPlayerOptions() {
+  const select = document.getElementById("ai-player");
+  if (select) select.value = aiPlayer;
+}
 
-  while (r !== tr || c !== tc) {
-    const idx = rowColToIndex(r, c);
-    if (board[idx] !== null) return false;
-    r += stepRow;
-    c += stepCol;
+function loadAiLevel() {
+  try {
+    const stored = window.localStorage.getItem(AI_LEVEL_STORAGE_KEY);
+    if (stored && isAiLevel(stored)) return stored;
+  } catch {
+    // Storage unavailable: fall back to the default
   }
-
-  return true;
+  return DEFAULT_AI_LEVEL;
 }
 
-function isLegalKnightMove(dr, dc) {
-  const adr = Math.abs(dr);
-  const adc = Math.abs(dc);
-  return (adr === 1 && adc === 2) || (adr === 2 && adc === 1);
+// The levels to pick from: "Perfect" only once the server turns out to
+// have a tablebase to play it from
+function getOfferedAiLevels() {
+  return Object.values(AI_LEVELS).filter(level => hasTablebase || !level.tablebase);
 }
 
-function isLegalPawnMove(fr, fc, tr, tc, piece) {
-  console.log('fr', fr);
-  console.log('fc', fc);
-  console.log('tr', tr);
-  console.log('tc', tc);
-  console.log('piece', piece);
-  // Pawn always moves strictly according to its current direction.
-  // If direction is missing, the move is not allowed.
-  if (typeof piece.dir !== "number") return false;
-  const dir = piece.dir;
-  const forwardRow = fr - dir;
+// A level as the pickers show it: a saved "Perfect" without a tablebase
+// plays like "Hard", so it shows as that
+function getShownAiLevel(id) {
+  return AI_LEVELS[id].tablebase && !hasTablebase ? "hard" : id;
+}
 
-  // Forward move (no capture)
-  if (tc === fc && tr === forwardRow) {
-    const idx = rowColToIndex(tr, tc);
-    if (board[idx] === null) return true;
+function renderAiLevelOptions() {
+  const select = document.getElementById("ai-level");
+  if (!select) return;
+  const levels = getOfferedAiLevels();
+  if (select.options.length !== levels.length) {
+    select.innerHTML = "";
+    levels.forEach(level => {
+      const option = document.createElement("option");
+      option.value = level.id;
+      option.textContent = "AI: " + level.label;
+      select.appendChild(option);
+    });
   }
+  select.value = getShownAiLevel(selectedAiLevel);
+}
 
-  // Diagonal capture
-  if (tr === forwardRow && Math.abs(tc - fc) === 1) {
-    const idx = rowColToIndex(tr, tc);
-    const target = board[idx];
-    if (target && target.player !== piece.player) return true;
+// Picking a level plays the AI at that level; a running AI game carries
+// on with the new strength from its next move
+function setAiLevel(id) {
+  if (!isAiLevel(id)) return;
+  selectedAiLevel = id;
+  try {
+    window.localStorage.setItem(AI_LEVEL_STORAGE_KEY, id);
+  } catch {
+    // Not persisted; still used for this session
   }
 
-  return false;
+  if (gameMode !== "ai") {
+    setGameMode("ai");
+  }
 }
 
-/****************************************************
- * AI: minimax with alpha-beta pruning
- * AI plays as Black (O), human as White (X). Maximizing = O.
- ****************************************************/
-
-function cloneBoard(b) {
-  return b.map(cell =>
-    cell ? { player: cell.player, type: cell.type, dir: cell.dir } : null
-  );
+function getAllLegalPlacements(player) {
+  return getLegalPlacements(board, pools, player).map(({ index, type }) => ({
+    index,
+    type
+  }));
 }
 
-function clonePools(p) {
-  return { [PLAYER_X]: p[PLAYER_X].slice(), [PLAYER_O]: p[PLAYER_O].slice() };
+function getAllLegalMoves(player) {
+  return getLegalMoves(board, pools, player).map(({ from, to }) => ({
+    from,
+    to
+  }));
 }
 
-function countPiecesOnBoardFor(b, player) {
-  return b.reduce(
-    (acc, cell) => acc + (cell && cell.player === player ? 1 : 0),
-    0
-  );
-}
+function maybeTriggerAiTurn() {
+  if (!isAiControlled(currentPlayer)) return;
+  if (gameMode === "demo" && !isDemoPlaying) return;
+  if (gameOver) return;
+  if (isAiThinking || isAiPaused) return;
 
-function bothPlayersHaveThreeFor(b) {
-  return (
-    countPiecesOnBoardFor(b, PLAYER_X) >= 3 &&
-    countPiecesOnBoardFor(b, PLAYER_O) >= 3
-  );
+  isAiThinking = true;
+  startAiSearch();
 }
 
-function canPlayerMovePiecesFor(b, p, player) {
-  return bothPlayersHaveThreeFor(b);
-}
+// Searches in engine-worker.js; the worker reports the best action after
+// every finished depth, so "Move now" always has something to play
+function startAiSearch() {
+  const id = ++aiSearchId;
+  aiSearch = { id, startedAt: Date.now(), depth: 0, action: null };
+  renderAiPanel();
 
-function isLegalRookMoveOnBoard(b, fr, fc, tr, tc) {
-  if (fr !== tr && fc !== tc) return false;
-  const stepRow = fr === tr ? 0 : tr > fr ? 1 : -1;
-  const stepCol = fc === tc ? 0 : tc > fc ? 1 : -1;
-  let r = fr + stepRow;
-  let c = fc + stepCol;
-  while (r !== tr || c !== tc) {
-    if (b[rowColToIndex(r, c)] !== null) return false;
-    r += stepRow;
-    c += stepCol;
+  if (!AI_LEVELS[getAiLevelFor(currentPlayer)].tablebase) {
+    searchInWorker(id);
+    return;
   }
-  return true;
+  // Perfect play: any of the tablebase's best actions, or a search when
+  // the server has no table
+  fetchTablebase(formatPosition(getGameState())).then(analysis => {
+    const best = getBestActions(analysis);
+    if (best.length) {
+      finishAiSearch(id, best[Math.floor(Math.random() * best.length)]);
+    } else {
+      searchInWorker(id);
+    }
+  });
 }
 
-function isLegalBishopMoveOnBoard(b, fr, fc, tr, tc) {
-  const dr = tr - fr;
-  const dc = tc - fc;
-  if (Math.abs(dr) !== Math.abs(dc) || dr === 0) return false;
-  const stepRow = dr > 0 ? 1 : -1;
-  const stepCol = dc > 0 ? 1 : -1;
-  let r = fr + stepRow;
-  let c = fc + stepCol;
-  while (r !== tr || c !== tc) {
-    if (b[rowColToIndex(r, c)] !== null) return false;
-    r += stepRow;
-    c += stepCol;
+function searchInWorker(id) {
+  if (!aiSearch || aiSearch.id !== id) return; // given up meanwhile
+
+  if (!aiWorker) {
+    try {
+      aiWorker = new Worker("engine-worker.js");
+      aiWorker.onmessage = onAiWorkerMessage;
+      aiWorker.onerror = onAiWorkerError;
+    } catch {
+      // No workers (e.g. opened from file://): think on the main thread
+      setTimeout(() => finishAiSearch(id, getBestAiAction()), AI_MIN_THINK_MS);
+      return;
+    }
   }
-  return true;
+  aiWorker.postMessage({ id, state: getGameState(), level: getAiLevelFor(currentPlayer) });
 }
 
-function isLegalPawnMoveOnBoard(b, fr, fc, tr, tc, piece) {
-  if (typeof piece.dir !== "number") return false;
-  const dir = piece.dir;
-  const forwardRow = fr - dir;
-  if (tc === fc && tr === forwardRow) {
-    if (b[rowColToIndex(tr, tc)] === null) return true;
-  }
-  if (tr === forwardRow && Math.abs(tc - fc) === 1) {
-    const target = b[rowColToIndex(tr, tc)];
-    if (target && target.player !== piece.player) return true;
-  }
-  return false;
-}
-
-function isLegalMoveOnBoard(b, fromIndex, toIndex, piece) {
-  const { row: fr, col: fc } = indexToRowCol(fromIndex);
-  const { row: tr, col: tc } = indexToRowCol(toIndex);
-  const dr = tr - fr;
-  const dc = tc - fc;
-  switch (piece.type) {
-    case "R":
-      return isLegalRookMoveOnBoard(b, fr, fc, tr, tc);
-    case "B":
-      return isLegalBishopMoveOnBoard(b, fr, fc, tr, tc);
-    case "N":
-      return (Math.abs(dr) === 1 && Math.abs(dc) === 2) ||
-        (Math.abs(dr) === 2 && Math.abs(dc) === 1);
-    case "P":
-      return isLegalPawnMoveOnBoard(b, fr, fc, tr, tc, piece);
-    default:
-      return false;
+function onAiWorkerMessage(event) {
+  const data = event.data;
+  if (!aiSearch || data.id !== aiSearch.id) return; // a search we gave up on
+
+  if (data.type === "progress") {
+    aiSearch.depth = data.depth;
+    aiSearch.action = data.action;
+    renderAiPanel();
+  } else if (data.type === "done") {
+    finishAiSearch(data.id, data.action);
   }
 }
 
-function getAllLegalPlacementsFor(b, p, player) {
-  const results = [];
-  const pool = p[player];
-  if (!pool || pool.length === 0) return results;
-  for (let i = 0; i < BOARD_CELLS; i++) {
-    if (b[i] !== null) continue;
-    for (let t = 0; t < pool.length; t++) {
-      results.push({ kind: "place", index: i, type: pool[t] });
-    }
+function onAiWorkerError(event) {
+  event.preventDefault();
+  console.error("AI worker failed:", event.message);
+  aiWorker = null;
+  // Fall back to searching on the main thread
+  if (aiSearch) {
+    const { id } = aiSearch;
+    setTimeout(() => finishAiSearch(id, getBestAiAction()), 0);
   }
-  return results;
 }
 
-function getAllLegalMovesFor(b, p, player) {
-  const moves = [];
-  for (let i = 0; i < BOARD_CELLS; i++) {
-    const cell = b[i];
-    if (!cell || cell.player !== player) continue;
-    for (let j = 0; j < BOARD_CELLS; j++) {
-      if (i === j) continue;
-      const target = b[j];
-      if (target && target.player === player) continue;
-      if (isLegalMoveOnBoard(b, i, j, cell)) {
-        moves.push({ kind: "move", from: i, to: j });
-      }
-    }
+// Play the AI's action, but not faster than AI_MIN_THINK_MS so instant
+// replies don't feel jarring
+function finishAiSearch(id, action) {
+  if (!aiSearch || aiSearch.id !== id) return;
+  const wait = AI_MIN_THINK_MS - (Date.now() - aiSearch.startedAt);
+  if (wait > 0) {
+    setTimeout(() => playAiAction(id, action), wait);
+  } else {
+    playAiAction(id, action);
   }
-  return moves;
 }
 
-function getAllActions(b, p, player) {
-  const placements = getAllLegalPlacementsFor(b, p, player);
-  const canMove = canPlayerMovePiecesFor(b, p, player);
-  const moves = canMove ? getAllLegalMovesFor(b, p, player) : [];
-  return [...placements, ...moves];
-}
-
-function applyPlacement(b, p, player, type, index) {
-  const pool = p[player];
-  const idx = pool.indexOf(type);
-  if (idx === -1) return;
-  const piece = { player, type };
-  if (type === "P") {
-    // Initial direction: X pawns go "down" (increasing row),
-    // O pawns go "up" (decreasing row).
-    piece.dir = player === PLAYER_X ? 1 : -1;
-    // If pawn is placed on an edge square, reverse direction
-    if(([12, 13, 14, 15].includes(index) && player === PLAYER_O) || ([0, 1, 2, 3].includes(index) && player === PLAYER_X)){
-      piece.dir = -1 * piece.dir;
-    }
-  }
-  b[index] = piece;
-  pool.splice(idx, 1);
+function playAiAction(id, action) {
+  if (!aiSearch || aiSearch.id !== id) return;
+  aiSearch = null;
+  isAiThinking = false;
+  renderAiPanel();
+  aiTakeTurn(action);
 }
 
-function applyMove(b, p, fromIndex, toIndex) {
-  const fromCell = b[fromIndex];
-  if (!fromCell) return;
-  const toCell = b[toIndex];
-  if (toCell && toCell.player !== fromCell.player) {
-    p[toCell.player].push(toCell.type);
+// Abandon the running search, if any. The worker can't be interrupted
+// mid-search, so it is thrown away and a new one started next time.
+function stopAiSearch() {
+  if (aiSearch && aiWorker) {
+    aiWorker.terminate();
+    aiWorker = null;
   }
-  b[toIndex] = { ...fromCell };
-  b[fromIndex] = null;
-  if (fromCell.type === "P" && typeof fromCell.dir === "number") {
-    const { row } = indexToRowCol(toIndex);
-    if (row === 0 || row === BOARD_SIZE - 1) {
-      b[toIndex].dir = -1 * fromCell.dir;
-    }
+  aiSearch = null;
+  isAiThinking = false;
+}
+
+function aiMoveNow() {
+  if (!aiSearch || !aiSearch.action) return;
+  const { id, action } = aiSearch;
+  if (aiWorker) {
+    aiWorker.terminate();
+    aiWorker = null;
   }
+  playAiAction(id, action);
+}
+
+function cancelAiSearch() {
+  stopAiSearch();
+  isAiPaused = true;
+  renderAiPanel();
+}
+
+function resumeAi() {
+  isAiPaused = false;
+  renderAiPanel();
+  maybeTriggerAiTurn();
 }
 
-const MINIMAX_WIN = 100;
-const MINIMAX_LOSS = -100;
-const MINIMAX_DRAW = 0;
-const MAX_DEPTH = 5;
+/****************************************************
+ * Analysis and hints
+ * The engine scores every legal action (engine-worker.js "analyze"
+ * requests); the tablebase (tablebase.js, looked up through
+ * /api/tablebase) adds the theoretical result when the server has one.
+ ****************************************************/
 
-function minimax(b, p, depth, isMaximizing, alpha, beta) {
-  const winner = checkWinner(b);
-  if (winner === PLAYER_O) return MINIMAX_WIN - depth;
-  if (winner === PLAYER_X) return MINIMAX_LOSS + depth;
-  if (isBoardFull(b)) return MINIMAX_DRAW;
-  if (depth >= MAX_DEPTH) return MINIMAX_DRAW;
+const TABLEBASE_URL = "/api/tablebase";
+const ANALYSIS_LEVEL = "hard";
+let isAnalysisOpen = false;
+let hint = null; // { position, action } the engine suggests for that position
+const tablebaseLookups = new Map(); // position string -> Promise<analysis | null>
+const engineAnalyzer = createEngineAnalyzer(ANALYSIS_LEVEL);
+
+// Resolves to the server's analysis of `position`, or null when it has no
+// table (or there is no server, e.g. opened from file://)
+function fetchTablebase(position) {
+  if (!tablebaseLookups.has(position)) {
+    const lookup =
+      typeof fetch === "function"
+        ? fetch(TABLEBASE_URL + "?position=" + encodeURIComponent(position))
+            .then(res => (res.ok ? res.json() : null))
+            .catch(() => null)
+        : Promise.resolve(null);
+    tablebaseLookups.set(position, lookup);
+  }
+  return tablebaseLookups.get(position);
+}
 
-  const player = isMaximizing ? PLAYER_O : PLAYER_X;
-  const actions = getAllActions(b, p, player);
+// Looks up the starting position once, to learn whether the server has a
+// tablebase; "Perfect" is offered from then on
+function checkTablebase() {
+  fetchTablebase(formatPosition(createInitialState())).then(analysis => {
+    if (!analysis) return;
+    hasTablebase = true;
+    renderAiLevelOptions();
+    renderAiPanel();
+  });
+}
 
-  if (actions.length === 0) {
-    return MINIMAX_DRAW;
+// Runs engine-worker.js "analyze" requests at `level` in a worker of its
+// own, one position at a time. Resolves to { scored, depth } for a state;
+// asking for another position abandons a search still running, whose
+// promise then resolves to null.
+function createEngineAnalyzer(level) {
+  const lookups = new Map(); // position string -> Promise<{ scored, depth } | null>
+  let worker = null;
+  let request = null; // { id, state, position, resolve } being searched
+  let lastId = 0;
+
+  function finish(id, result) {
+    if (!request || request.id !== id) return;
+    const { resolve } = request;
+    request = null;
+    resolve(result);
+  }
+
+  function searchOnMainThread(id, state) {
+    setTimeout(() => finish(id, analyzeActions(state, level)), 0);
+  }
+
+  function startWorker() {
+    worker = new Worker("engine-worker.js");
+    worker.onmessage = function (event) {
+      const { id, type, scored, depth } = event.data;
+      if (type === "analysis") finish(id, { scored, depth });
+    };
+    worker.onerror = function (event) {
+      event.preventDefault();
+      console.error("Analysis worker failed:", event.message);
+      worker = null;
+      if (request) searchOnMainThread(request.id, request.state);
+    };
+  }
+
+  function stop() {
+    if (!request) return;
+    lookups.delete(request.position);
+    finish(request.id, null);
+    // The worker can't be interrupted mid-search
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
   }
 
-  if (isMaximizing) {
-    let best = MINIMAX_LOSS;
-    for (let i = 0; i < actions.length; i++) {
-      const action = actions[i];
-      const b2 = cloneBoard(b);
-      const p2 = clonePools(p);
-      if (action.kind === "place") {
-        applyPlacement(b2, p2, PLAYER_O, action.type, action.index);
-      } else {
-        applyMove(b2, p2, action.from, action.to);
-      }
-      const score = minimax(b2, p2, depth + 1, false, alpha, beta);
-      best = Math.max(best, score);
-      alpha = Math.max(alpha, score);
-      if (beta <= alpha) break;
-    }
-    return best;
-  } else {
-    let best = MINIMAX_WIN;
-    for (let i = 0; i < actions.length; i++) {
-      const action = actions[i];
-      const b2 = cloneBoard(b);
-      const p2 = clonePools(p);
-      if (action.kind === "place") {
-        applyPlacement(b2, p2, PLAYER_X, action.type, action.index);
-      } else {
-        applyMove(b2, p2, action.from, action.to);
+  function analyze(state) {
+    const position = formatPosition(state);
+    if (lookups.has(position)) return lookups.get(position);
+    stop();
+
+    const lookup = new Promise(resolve => {
+      const id = ++lastId;
+      request = { id, state, position, resolve };
+      try {
+        if (!worker) startWorker();
+        worker.postMessage({ id, state, level, analyze: true });
+      } catch {
+        // No workers (e.g. opened from file://): search on the main thread
+        searchOnMainThread(id, state);
       }
-      const score = minimax(b2, p2, depth + 1, true, alpha, beta);
-      best = Math.min(best, score);
-      beta = Math.min(beta, score);
-      if (beta <= alpha) break;
-    }
-    return best;
+    });
+    lookups.set(position, lookup);
+    return lookup;
   }
+
+  return { analyze, stop };
 }
 
-function getBestAiAction() {
-  const b = cloneBoard(board);
-  const p = clonePools(pools);
-  const actions = getAllActions(b, p, PLAYER_O);
-  if (actions.length === 0) return null;
-
-  let bestScore = MINIMAX_LOSS;
-  let bestAction = null;
-
-  for (let i = 0; i < actions.length; i++) {
-    const action = actions[i];
-    const b2 = cloneBoard(board);
-    const p2 = clonePools(pools);
-    if (action.kind === "place") {
-      applyPlacement(b2, p2, PLAYER_O, action.type, action.index);
-    } else {
-      applyMove(b2, p2, action.from, action.to);
-    }
-    const score = minimax(b2, p2, 0, false, MINIMAX_LOSS, MINIMAX_WIN);
-    if (score > bestScore) {
-      bestScore = score;
-      bestAction = action;
-    }
+// An outcome ({ result, plies }) for `player`, who is to move, as text
+function describeOutcome(outcome, player) {
+  if (outcome.result === "draw") return "Draw";
+  const winnerName = getColorName(outcome.result === "win" ? player : otherPlayer(player));
+  return `${winnerName} wins in ${outcome.plies} ${outcome.plies === 1 ? "ply" : "plies"}`;
+}
+
+// Engine score for `player`, who is to move: a forced result, or points
+function formatEngineScore(score, player) {
+  if (isDecided(score)) {
+    const plies = WIN_SCORE - Math.abs(score);
+    return describeOutcome({ result: score > 0 ? "win" : "loss", plies }, player);
   }
-  return bestAction;
+  return (score > 0 ? "+" : "") + Math.round(score);
 }
 
-function getAllLegalPlacements(player) {
-  return getAllLegalPlacementsFor(board, pools, player).map(({ index, type }) => ({
-    index,
-    type
-  }));
+// Hints are for learning, so not while playing online or watching AIs
+function canShowHint() {
+  return (gameMode === "ai" || gameMode === "human") && !gameOver && !isAiControlled(currentPlayer);
 }
 
-function getAllLegalMoves(player) {
-  return getAllLegalMovesFor(board, pools, player).map(({ from, to }) => ({
-    from,
-    to
-  }));
+// Highlights the engine's choice for the side to move on the board
+function showHint() {
+  if (!canShowHint()) return;
+  const state = getGameState();
+  const position = formatPosition(state);
+  hint = { position, action: null };
+  engineAnalyzer.analyze(state).then(result => {
+    if (!result || !hint || hint.position !== position || result.scored.length === 0) return;
+    hint.action = result.scored[0].action;
+    renderBoard();
+  });
 }
 
-function maybeTriggerAiTurn() {
-  if (gameMode !== "ai") return;
-  if (currentPlayer !== PLAYER_O) return;
-  if (gameOver) return;
-  if (isAiThinking) return;
+// The hinted action, while its position is still on the board
+function getHintAction() {
+  if (!hint || !hint.action) return null;
+  return hint.position === formatPosition(getGameState()) ? hint.action : null;
+}
 
-  isAiThinking = true;
-  setTimeout(() => {
-    try {
-      aiTakeTurn();
-    } finally {
-      isAiThinking = false;
-    }
-  }, 400);
+function isHintCell(action, boardIndex) {
+  return action.kind === "place"
+    ? action.index === boardIndex
+    : action.from === boardIndex || action.to === boardIndex;
 }
 
-function aiTakeTurn() {
-  if (gameOver) return;
-  if (currentPlayer !== PLAYER_O) return;
+function toggleAnalysis() {
+  isAnalysisOpen = !isAnalysisOpen;
+  renderAnalysisPanel();
+}
 
-  const action = getBestAiAction();
-  if (!action) {
-    currentPlayer = PLAYER_X;
-    renderBoard();
-    renderPiecePools();
+// Every legal action of the position on the board with its engine score,
+// and the tablebase result where known
+function renderAnalysisPanel() {
+  const panel = document.getElementById("analysis-ui");
+  if (!panel) return;
+  if (!isAnalysisOpen || gameOver) {
+    panel.style.display = "none";
+    panel.dataset.position = "";
     return;
   }
-
-  if (action.kind === "place") {
-    placePiece(PLAYER_O, action.type, action.index);
-  } else {
-    tryMovePiece(action.from, action.to);
+  panel.style.display = "";
+  if (gameMode === "online" && !isSpectating) {
+    panel.textContent = "Analysis is off while you play online.";
+    panel.dataset.position = "";
+    return;
   }
+
+  const state = getGameState();
+  const position = formatPosition(state);
+  if (panel.dataset.position === position) return; // shown or on its way
+  panel.dataset.position = position;
+
+  const found = { tablebase: undefined, engine: null };
+  const show = () => {
+    if (panel.dataset.position !== position) return; // the board moved on
+    showAnalysis(panel, state, found);
+  };
+  show();
+  fetchTablebase(position).then(analysis => {
+    found.tablebase = analysis;
+    show();
+  });
+  engineAnalyzer.analyze(state).then(result => {
+    if (!result) return; // abandoned for another position
+    found.engine = result;
+    show();
+  });
 }
 
-function afterAction() {
-  // In online mode, server handles turn switching - don't do it locally
-  if (gameMode === "online") {
-    return;
-  }
-  
-  const winner = checkWinner(board);
-  if (winner) {
-    endGame((winner === PLAYER_X ? "White" : "Black") + " wins!");
-    renderBoard();
-    renderPiecePools();
-    recordHistorySnapshot();
-    return;
+function showAnalysis(panel, state, { tablebase, engine }) {
+  const player = state.currentPlayer;
+  panel.innerHTML = "";
+
+  const summary = document.createElement("div");
+  summary.className = "match-score";
+  if (tablebase === undefined) {
+    summary.textContent = "Tablebase: looking up...";
+  } else if (!tablebase) {
+    summary.textContent = "Tablebase: not available";
+  } else {
+    summary.textContent =
+      "Tablebase: " +
+      (tablebase.result ? describeOutcome(tablebase, player) : "this position can't occur in a game");
   }
+  panel.appendChild(summary);
 
-  if (isBoardFull(board)) {
-    endGame("Draw!");
-    renderBoard();
-    renderPiecePools();
-    recordHistorySnapshot();
+  const heading = document.createElement("div");
+  panel.appendChild(heading);
+  if (!engine) {
+    heading.textContent = "Engine: thinking...";
     return;
   }
-  currentPlayer = currentPlayer === PLAYER_X ? PLAYER_O : PLAYER_X;
-  renderBoard();
-  renderPiecePools();
+  heading.textContent = `Engine (depth ${engine.depth}), ${getColorName(player)} to move:`;
 
-  if (!gameOver) {
-    maybeTriggerAiTurn();
+  // Tablebase outcomes by notation, to line them up with the engine's list
+  const perfect = new Map();
+  if (tablebase) {
+    tablebase.actions.forEach(entry => perfect.set(formatAction(state, entry.action), entry));
   }
 
-  // Record state after each completed move in local/AI modes.
-  // Snapshot always reflects the side TO move (after turn switch).
-  recordHistorySnapshot();
+  const list = document.createElement("ol");
+  list.className = "analysis-actions";
+  engine.scored.forEach(({ action, score }) => {
+    const notation = formatAction(state, action);
+    const known = perfect.get(notation);
+    const item = document.createElement("li");
+    item.textContent =
+      notation + "  " + formatEngineScore(score, player) +
+      (known ? " — tablebase: " + describeOutcome(known, player) : "");
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
 }
 
 /****************************************************
- * Click handler for board cells
+ * Post-game review
+ * Scores the position before every action of a finished game and compares
+ * the action played with the engine's best one.
  ****************************************************/
 
-function handleCellClick(displayIndex) {
-  if (gameOver) return;
-  // In online mode, don't allow moves if room is not full yet
-  if (gameMode === "online" && !isRoomFull) return;
-  // In AI mode, ignore clicks when it's the AI's turn (Black)
-  if (gameMode === "ai" && currentPlayer === PLAYER_O) return;
-  // In online mode, ignore clicks when it's not your turn
-  if (gameMode === "online" && currentPlayer !== onlinePlayerId) return;
+const REVIEW_LEVEL = "medium";
+const BLUNDER_THRESHOLD = 150; // points given away against the best action
+const REVIEW_GRAPH_LIMIT = 300; // scores beyond this are drawn at the edge
+const REVIEW_GRAPH_WIDTH = 320;
+const REVIEW_GRAPH_HEIGHT = 64;
+const reviewAnalyzer = createEngineAnalyzer(REVIEW_LEVEL);
+let review = null; // { id, moves: [...], done } once started
+let reviewId = 0;
+
+// Review covers the game in moveHistory once it has ended, even while
+// stepping back through it
+function isGameFinished() {
+  return moveHistory.length > 0 && moveHistory[moveHistory.length - 1].gameOver;
+}
 
-  // Convert display index to board index (accounts for board flipping)
-  const index = getBoardIndex(displayIndex);
-  const cell = board[index];
+// Every action in moveHistory with the snapshot it was played in and the
+// history index of the position it led to
+function getReviewMoves() {
+  const moves = [];
+  let before = moveHistory[0];
+  moveHistory.forEach((snapshot, historyIndex) => {
+    if (snapshot.ply === before.ply) return; // same position, e.g. a clock update
+    moves.push({
+      before,
+      action: snapshot.lastAction,
+      player: before.currentPlayer,
+      historyIndex,
+      best: null, // { action, score } for the side to move
+      played: null, // score of the action played
+      mark: null // "blunder" or "missed win"
+    });
+    before = snapshot;
+  });
+  return moves;
+}
 
-  // If we have a selected piece from the board, try to move it.
-  if (selectedFromBoardIndex !== null) {
-    const moved = tryMovePiece(selectedFromBoardIndex, index);
-    if (!moved) {
-      // If move failed and we clicked another of our own pieces,
-      // switch selection; otherwise clear selection.
-      if (cell && cell.player === currentPlayer) {
+function startReview() {
+  if (!isGameFinished() || review) return;
+  if (!getHistoryActions()) {
+    alert("This game's history is incomplete and can't be reviewed.");
+    return;
+  }
+  review = { id: ++reviewId, moves: getReviewMoves(), done: 0 };
+  renderReviewPanel();
+  reviewNextMove(review.id);
+}
+
+function stopReview() {
+  review = null;
+  reviewAnalyzer.stop();
+}
+
+function reviewNextMove(id) {
+  if (!review || review.id !== id) return;
+  const move = review.moves[review.done];
+  if (!move) return;
+
+  reviewAnalyzer.analyze(move.before).then(result => {
+    if (!review || review.id !== id || !result) return;
+    scoreReviewMove(move, result.scored);
+    review.done++;
+    renderReviewPanel();
+    reviewNextMove(id);
+  });
+}
+
+function scoreReviewMove(move, scored) {
+  if (scored.length === 0) return;
+  const playedEntry = scored.find(entry => sameAction(entry.action, move.action));
+  move.best = scored[0];
+  move.played = playedEntry ? playedEntry.score : scored[0].score;
+
+  const wasWon = isDecided(move.best.score) && move.best.score > 0;
+  const stillWon = isDecided(move.played) && move.played > 0;
+  if (wasWon && !stillWon) {
+    move.mark = "missed win";
+  } else if (move.best.score - move.played >= BLUNDER_THRESHOLD) {
+    move.mark = "blunder";
+  }
+}
+
+function jumpToHistory(historyIndex) {
+  stepHistory(historyIndex - moveIndex);
+}
+
+function getMoveLabel(move) {
+  const number = Math.floor((move.before.ply || 0) / 2) + 1;
+  return number + (move.player === PLAYER_X ? ". " : "... ") + formatAction(move.before, move.action);
+}
+
+// Score for White after each reviewed action, starting from 0
+function getReviewCurve() {
+  const points = [0];
+  review.moves.slice(0, review.done).forEach(move => {
+    const score = move.played === null ? 0 : move.played;
+    const clipped = Math.max(-REVIEW_GRAPH_LIMIT, Math.min(REVIEW_GRAPH_LIMIT, score));
+    points.push(move.player === PLAYER_X ? clipped : -clipped);
+  });
+  return points;
+}
+
+// Evaluation graph: White's advantage above the middle line, Black's below
+function createReviewGraph() {
+  const ns = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(ns, "svg");
+  svg.setAttribute("class", "review-graph");
+  svg.setAttribute("width", REVIEW_GRAPH_WIDTH);
+  svg.setAttribute("height", REVIEW_GRAPH_HEIGHT);
+
+  const steps = Math.max(review.moves.length, 1);
+  const x = i => (i / steps) * REVIEW_GRAPH_WIDTH;
+  const y = score => REVIEW_GRAPH_HEIGHT / 2 - (score / REVIEW_GRAPH_LIMIT) * (REVIEW_GRAPH_HEIGHT / 2 - 2);
+
+  const middle = document.createElementNS(ns, "line");
+  middle.setAttribute("x1", 0);
+  middle.setAttribute("x2", REVIEW_GRAPH_WIDTH);
+  middle.setAttribute("y1", y(0));
+  middle.setAttribute("y2", y(0));
+  middle.setAttribute("class", "review-graph-axis");
+  svg.appendChild(middle);
+
+  const curve = getReviewCurve();
+  const line = document.createElementNS(ns, "polyline");
+  line.setAttribute("points", curve.map((score, i) => x(i) + "," + y(score)).join(" "));
+  line.setAttribute("class", "review-graph-line");
+  svg.appendChild(line);
+
+  review.moves.slice(0, review.done).forEach((move, i) => {
+    if (!move.mark) return;
+    const dot = document.createElementNS(ns, "circle");
+    dot.setAttribute("cx", x(i + 1));
+    dot.setAttribute("cy", y(curve[i + 1]));
+    dot.setAttribute("r", 4);
+    dot.setAttribute("class", move.mark === "blunder" ? "review-dot-blunder" : "review-dot-missed");
+    dot.addEventListener("click", () => jumpToHistory(move.historyIndex));
+    svg.appendChild(dot);
+  });
+  return svg;
+}
+
+function renderReviewPanel() {
+  const panel = document.getElementById("review-ui");
+  if (!panel) return;
+  if (!isGameFinished()) {
+    panel.style.display = "none";
+    return;
+  }
+  panel.style.display = "";
+  panel.innerHTML = "";
+
+  if (!review) {
+    const reviewBtn = document.createElement("button");
+    reviewBtn.type = "button";
+    reviewBtn.textContent = "Review game";
+    reviewBtn.addEventListener("click", startReview);
+    panel.appendChild(reviewBtn);
+    return;
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "match-score";
+  if (review.done < review.moves.length) {
+    summary.textContent = `Reviewing... ${review.done}/${review.moves.length}`;
+  } else {
+    const count = mark => review.moves.filter(move => move.mark === mark).length;
+    summary.textContent = `Review: ${count("blunder")} blunder(s), ${count("missed win")} missed win(s)`;
+  }
+  panel.appendChild(summary);
+  panel.appendChild(createReviewGraph());
+
+  const list = document.createElement("ol");
+  list.className = "review-moves";
+  review.moves.forEach(move => {
+    const item = document.createElement("li");
+    item.textContent = getMoveLabel(move);
+    if (move.mark) {
+      item.classList.add(move.mark === "blunder" ? "review-blunder" : "review-missed");
+      item.textContent +=
+        ` — ${move.mark}, best was ${formatAction(move.before, move.best.action)}` +
+        ` (${formatEngineScore(move.best.score, move.player)})`;
+    }
+    item.classList.toggle("review-current", move.historyIndex === moveIndex);
+    item.addEventListener("click", () => jumpToHistory(move.historyIndex));
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+}
+
+/****************************************************
+ * AI vs AI demo
+ ****************************************************/
+
+// One AI move, then stop
+function demoStep() {
+  if (gameMode !== "demo" || gameOver || isAiThinking) return;
+  isDemoPlaying = false;
+  isAiThinking = true;
+  startAiSearch();
+}
+
+function toggleDemoPlaying() {
+  if (gameMode !== "demo") return;
+  isDemoPlaying = !isDemoPlaying;
+  renderAiPanel();
+  if (isDemoPlaying) {
+    maybeTriggerAiTurn();
+  }
+}
+
+function setDemoLevel(player, id) {
+  if (!isAiLevel(id)) return;
+  demoLevels = { ...demoLevels, [player]: id };
+}
+
+function createDemoLevelSelect(player) {
+  const select = document.createElement("select");
+  select.title = getColorName(player) + " AI level";
+  getOfferedAiLevels().forEach(level => {
+    const option = document.createElement("option");
+    option.value = level.id;
+    option.textContent = getColorName(player) + ": " + level.label;
+    select.appendChild(option);
+  });
+  select.value = getShownAiLevel(demoLevels[player]);
+  select.addEventListener("change", function () {
+    setDemoLevel(player, select.value);
+  });
+  return select;
+}
+
+// Level pickers for both sides plus step / auto-play
+function renderDemoPanel(panel) {
+  panel.appendChild(createDemoLevelSelect(PLAYER_X));
+  panel.appendChild(createDemoLevelSelect(PLAYER_O));
+
+  const stepBtn = document.createElement("button");
+  stepBtn.type = "button";
+  stepBtn.textContent = "Step";
+  stepBtn.disabled = gameOver || isAiThinking;
+  stepBtn.addEventListener("click", demoStep);
+
+  const playBtn = document.createElement("button");
+  playBtn.type = "button";
+  playBtn.textContent = isDemoPlaying ? "Pause" : "Play";
+  playBtn.disabled = gameOver;
+  playBtn.addEventListener("click", toggleDemoPlaying);
+
+  panel.appendChild(stepBtn);
+  panel.appendChild(playBtn);
+
+  if (aiSearch) {
+    const label = document.createElement("span");
+    label.textContent =
+      getColorName(currentPlayer) + " thinking..." +
+      (aiSearch.depth ? ` (depth ${aiSearch.depth})` : "");
+    panel.appendChild(label);
+  }
+}
+
+function renderAiPanel() {
+  const panel = document.getElementById("ai-ui");
+  if (!panel) return;
+  if (gameMode === "demo") {
+    panel.style.display = "";
+    panel.innerHTML = "";
+    renderDemoPanel(panel);
+    return;
+  }
+  if (gameMode !== "ai" || gameOver || (!aiSearch && !isAiPaused)) {
+    panel.style.display = "none";
+    panel.innerHTML = "";
+    return;
+  }
+  panel.style.display = "";
+  panel.innerHTML = "";
+
+  const label = document.createElement("span");
+  panel.appendChild(label);
+
+  if (isAiPaused) {
+    label.textContent = "AI is paused.";
+    const resumeBtn = document.createElement("button");
+    resumeBtn.type = "button";
+    resumeBtn.textContent = "Let AI move";
+    resumeBtn.addEventListener("click", resumeAi);
+    panel.appendChild(resumeBtn);
+    return;
+  }
+
+  label.textContent =
+    "AI thinking..." + (aiSearch.depth ? ` (depth ${aiSearch.depth})` : "");
+
+  const moveNowBtn = document.createElement("button");
+  moveNowBtn.type = "button";
+  moveNowBtn.textContent = "Move now";
+  moveNowBtn.disabled = !aiSearch.action;
+  moveNowBtn.addEventListener("click", aiMoveNow);
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.addEventListener("click", cancelAiSearch);
+
+  panel.appendChild(moveNowBtn);
+  panel.appendChild(cancelBtn);
+}
+
+function aiTakeTurn(action) {
+  if (gameOver) return;
+  const player = currentPlayer;
+  if (!isAiControlled(player)) return;
+
+  // The user may have stepped back through the history meanwhile
+  if (moveIndex !== moveHistory.length - 1) {
+    stepHistory(moveHistory.length - 1 - moveIndex);
+  }
+
+  if (action.kind === "place") {
+    placePiece(player, action.type, action.index);
+  } else {
+    tryMovePiece(action.from, action.to);
+  }
+}
+
+function afterAction() {
+  actionNotice = null;
+  // In online mode, server handles turn switching - don't do it locally
+  if (gameMode === "online") {
+    return;
+  }
+
+  // applyAction has already passed the turn or decided the result
+  if (gameOver) {
+    endGame(getResultMessage());
+    renderBoard();
+    renderPiecePools();
+    recordHistorySnapshot();
+    return;
+  }
+  renderBoard();
+  renderPiecePools();
+
+  if (!gameOver) {
+    maybeTriggerAiTurn();
+  }
+
+  // Record state after each completed move in local/AI modes.
+  // Snapshot always reflects the side TO move (after turn switch).
+  recordHistorySnapshot();
+}
+
+/****************************************************
+ * Click handler for board cells
+ ****************************************************/
+
+function handleCellClick(displayIndex) {
+  if (gameOver) return;
+  // In online mode, don't allow moves if room is not full yet
+  if (gameMode === "online" && !isRoomFull) return;
+  // Ignore clicks when it's the AI's turn
+  if (isAiControlled(currentPlayer)) return;
+  // In online mode, ignore clicks when it's not your turn
+  if (gameMode === "online" && currentPlayer !== onlinePlayerId) return;
+
+  // Convert display index to board index (accounts for board flipping)
+  const index = getBoardIndex(displayIndex);
+  const cell = board[index];
+  actionNotice = null;
+
+  // If we have a selected piece from the board, try to move it.
+  if (selectedFromBoardIndex !== null) {
+    const action = { kind: "move", from: selectedFromBoardIndex, to: index };
+    const moved = tryMovePiece(selectedFromBoardIndex, index);
+    if (!moved) {
+      // If move failed and we clicked another of our own pieces,
+      // switch selection; otherwise clear selection and say why.
+      if (cell && cell.player === currentPlayer) {
         selectedFromBoardIndex = index;
         renderBoard();
       } else {
         selectedFromBoardIndex = null;
-        renderBoard();
+        rejectAction(action);
       }
     }
     return;
   }
 
-  // No selection yet.
-  if (cell && cell.player === currentPlayer) {
-    // Selecting a piece to move (only allowed once moving is unlocked)
-    if (canCurrentPlayerMovePieces()) {
-      selectedFromBoardIndex = index;
-      selectedPoolPiece = null;
-      renderBoard();
+  // No selection yet.
+  if (cell && cell.player === currentPlayer) {
+    // Selecting a piece to move (only allowed once moving is unlocked)
+    if (canCurrentPlayerMovePieces()) {
+      selectedFromBoardIndex = index;
+      selectedPoolPiece = null;
+      renderBoard();
+    } else {
+      rejectAction({ kind: "move", from: index, to: index });
+    }
+    return;
+  }
+
+  // Empty cell clicked: try to place a selected pool piece, if any.
+  if (!cell && selectedPoolPiece && selectedPoolPiece.player === currentPlayer) {
+    placePiece(currentPlayer, selectedPoolPiece.type, index);
+    return;
+  }
+
+  renderBoard();
+}
+
+/****************************************************
+ * Move history helpers (keyboard left/right to browse)
+ ****************************************************/
+
+function recordHistorySnapshot() {
+  // Deep-ish copy of current game state for replay
+  const snapshot = {
+    ...getGameState(),
+    board: cloneBoard(board),
+    pools: clonePools(pools),
+    lastMoveIndex: lastMoveIndex  // Track which square the last move ended on
+  };
+
+  // If we had rewound, drop any "future" moves
+  if (moveIndex >= 0 && moveIndex < moveHistory.length - 1) {
+    moveHistory = moveHistory.slice(0, moveIndex + 1);
+  }
+
+  moveHistory.push(snapshot);
+  moveIndex = moveHistory.length - 1;
+  renderReviewPanel();
+}
+
+function stepHistory(direction) {
+  if (!moveHistory.length) return;
+  const newIndex = moveIndex + direction;
+  // Valid indices are 0 to moveHistory.length - 1
+  if (newIndex < 0 || newIndex >= moveHistory.length) return;
+
+  moveIndex = newIndex;
+  const snapshot = moveHistory[moveIndex];
+  
+  // Safety check: ensure snapshot exists and has required properties
+  if (!snapshot || !snapshot.board || !snapshot.pools) return;
+
+  setGameState(snapshot);
+  // Restore last move highlight from snapshot (or null if not set)
+  lastMoveIndex = snapshot.lastMoveIndex !== undefined ? snapshot.lastMoveIndex : null;
+
+  renderBoard();
+  renderPiecePools();
+  renderReviewPanel();
+}
+
+function handleHistoryKeyDown(event) {
+  if (event.key === "ArrowLeft") {
+    stepHistory(-1);
+  } else if (event.key === "ArrowRight") {
+    stepHistory(1);
+  }
+}
+
+/****************************************************
+ * Undo and takebacks
+ ****************************************************/
+
+let takebackRequestedBy = null; // online: the side waiting for a takeback answer
+
+// "Undo": takes back the last action in 2-player mode, and your last
+// action plus the AI's reply against the AI. Online it asks the opponent.
+// While viewing an earlier position, play goes on from there instead.
+function undoMove() {
+  if (gameMode === "online") {
+    requestTakeback();
+    return;
+  }
+  if (gameMode === "demo") return;
+  const target = getUndoTarget();
+  if (target >= 0) {
+    rollBackTo(target);
+  }
+}
+
+// History index to go back to, or -1 when there is nothing to undo
+function getUndoTarget() {
+  if (moveIndex !== moveHistory.length - 1) return moveIndex;
+  for (let k = moveHistory.length - 2; k >= 0; k--) {
+    // Against the AI, back to a position where it's the human's turn
+    if (!isAiControlled(moveHistory[k].currentPlayer)) return k;
+  }
+  return -1;
+}
+
+// Make history entry `historyIndex` the current position for real,
+// dropping everything after it
+function rollBackTo(historyIndex) {
+  const snapshot = moveHistory[historyIndex];
+  stopAiSearch();
+  stopReview();
+  moveHistory = moveHistory.slice(0, historyIndex + 1);
+  moveIndex = historyIndex;
+
+  setGameState(snapshot);
+  lastMoveIndex = snapshot.lastMoveIndex !== undefined ? snapshot.lastMoveIndex : null;
+  selectedFromBoardIndex = null;
+  selectedPoolPiece = null;
+  actionNotice = null;
+  if (clock) {
+    // Clocks only run once White has moved
+    clock = rewindTurn(clock, ply > 0 ? currentPlayer : null, Date.now());
+  }
+
+  renderBoard();
+  renderPiecePools();
+  renderClocks();
+  renderReviewPanel();
+  maybeTriggerAiTurn();
+}
+
+function requestTakeback() {
+  if (!socket || !isRoomFull || isSpectating || gameOver) return;
+  socket.emit("requestTakeback");
+}
+
+// The server took back `plies`: forget the undone positions so the
+// history stays a single line of play
+function applyTakeback(data) {
+  const keptPly = data.gameState.ply || 0;
+  moveHistory = moveHistory.filter(snapshot => (snapshot.ply || 0) < keptPly);
+  moveIndex = moveHistory.length - 1;
+  selectedFromBoardIndex = null;
+  selectedPoolPiece = null;
+  syncGameStateFromServer(data.gameState);
+  // Comparing boards doesn't find the last move when going back
+  lastMoveIndex = getLastMoveIndex(data.gameState.lastAction);
+  moveHistory[moveIndex].lastMoveIndex = lastMoveIndex;
+  renderBoard();
+}
+
+/****************************************************
+ * Resigning and draw offers
+ ****************************************************/
+
+let drawOfferedBy = null; // online: the side whose draw offer stands
+
+function resignGame() {
+  if (!socket || isSpectating || gameOver) return;
+  if (!window.confirm("Resign this game?")) return;
+  socket.emit("resign");
+}
+
+// Offering when the opponent already has is the same as accepting
+function offerDraw() {
+  if (!socket || isSpectating || gameOver) return;
+  socket.emit("offerDraw");
+}
+
+function addOfferButton(panel, label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  panel.appendChild(button);
+}
+
+// Pending takeback and draw questions of the running online game, and the
+// buttons to resign or offer a draw
+function renderOfferPanel() {
+  const panel = document.getElementById("offer-ui");
+  if (!panel) return;
+  panel.innerHTML = "";
+  const inGame =
+    gameMode === "online" && roomId && isRoomFull && !isBrowsingLobby &&
+    !isSpectating && !gameOver && !isOpponentReconnecting;
+  if (!inGame) {
+    panel.style.display = "none";
+    return;
+  }
+  panel.style.display = "";
+
+  const addText = text => {
+    const span = document.createElement("span");
+    span.textContent = text;
+    panel.appendChild(span);
+  };
+
+  if (takebackRequestedBy === onlinePlayerId) {
+    addText("Takeback requested, waiting for opponent...");
+  } else if (takebackRequestedBy) {
+    addText("Opponent asks to take back their last move.");
+    addOfferButton(panel, "Accept", () => socket.emit("acceptTakeback"));
+    addOfferButton(panel, "Decline", () => socket.emit("declineTakeback"));
+  }
+
+  if (drawOfferedBy === onlinePlayerId) {
+    addText("Draw offered, waiting for opponent...");
+  } else if (drawOfferedBy) {
+    addText("Opponent offers a draw.");
+    addOfferButton(panel, "Accept draw", () => socket.emit("acceptDraw"));
+    addOfferButton(panel, "Decline", () => socket.emit("declineDraw"));
+  } else {
+    addOfferButton(panel, "Offer draw", offerDraw);
+  }
+  addOfferButton(panel, "Resign", resignGame);
+}
+
+/****************************************************
+ * Export / import (notation.js game files)
+ ****************************************************/
+
+// Actions from the first snapshot to the newest one, or null if some are
+// missing (e.g. the connection dropped mid-game)
+function getHistoryActions() {
+  if (!moveHistory.length) return null;
+  const actions = [];
+  let lastPly = moveHistory[0].ply || 0;
+  for (const snapshot of moveHistory) {
+    if (snapshot.ply === lastPly) continue; // same position, e.g. a clock update
+    if (snapshot.ply !== lastPly + 1 || !snapshot.lastAction) return null;
+    actions.push(snapshot.lastAction);
+    lastPly = snapshot.ply;
+  }
+  return actions;
+}
+
+function getPlayerNames() {
+  if (gameMode === "ai") {
+    return aiPlayer === PLAYER_O
+      ? { White: "Human", Black: "AI" }
+      : { White: "AI", Black: "Human" };
+  }
+  if (gameMode === "demo") {
+    return {
+      White: "AI (" + AI_LEVELS[demoLevels[PLAYER_X]].label + ")",
+      Black: "AI (" + AI_LEVELS[demoLevels[PLAYER_O]].label + ")"
+    };
+  }
+  if (gameMode === "online" && onlinePlayerId) {
+    const names = onlinePlayerId === PLAYER_X
+      ? { White: "You", Black: "Opponent" }
+      : { White: "Opponent", Black: "You" };
+    return {
+      White: seatNames[PLAYER_X] || names.White,
+      Black: seatNames[PLAYER_O] || names.Black
+    };
+  }
+  return { White: "Player 1", Black: "Player 2" };
+}
+
+function exportGame() {
+  const actions = getHistoryActions();
+  if (!actions) {
+    alert("Some moves of this game are missing from the history, so it can't be exported.");
+    return;
+  }
+
+  const startState = moveHistory[0];
+  const finalState = moveHistory[moveHistory.length - 1];
+  const now = new Date();
+  const pad = n => (n < 10 ? "0" : "") + n;
+  const tags = {
+    Date: now.getFullYear() + "." + pad(now.getMonth() + 1) + "." + pad(now.getDate()),
+    ...getPlayerNames(),
+    TimeControl: clock ? clock.timeControl : undefined,
+    Result: getResultTag(finalState),
+    Termination: finalState.reason || undefined,
+    Position: isStartingPosition(startState) ? undefined : formatPosition(startState)
+  };
+
+  const text = formatGame(actions, tags);
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+  link.download = "chess-tic-tac-toe-" + tags.Date.replace(/\./g, "-") + ".txt";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+function openImportDialog() {
+  const input = document.getElementById("import-file");
+  if (!input) return;
+  input.value = "";
+  input.click();
+}
+
+function onImportFileChosen(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+  file.text().then(importGame);
+}
+
+function getLastMoveIndex(action) {
+  if (!action) return null;
+  return action.kind === "place" ? action.index : action.to;
+}
+
+// Load a game file into local 2-player mode; every action becomes a
+// history step, so the arrow keys replay it
+function importGame(text) {
+  let game;
+  try {
+    game = parseGame(text);
+  } catch (err) {
+    alert("Could not import game: " + err.message);
+    return;
+  }
+
+  const inOwnGame =
+    gameMode === "online" && roomId && isRoomFull && !isSpectating && !gameOver;
+  if (inOwnGame && !window.confirm("Leave your current game to load this one?")) {
+    return;
+  }
+  setGameMode("human");
+
+  clock = null;
+  moveHistory = [];
+  moveIndex = -1;
+  game.states.forEach(state => {
+    setGameState(state);
+    lastMoveIndex = getLastMoveIndex(state.lastAction);
+    recordHistorySnapshot();
+  });
+
+  renderBoard();
+  renderPiecePools();
+  renderClocks();
+  updateStatus();
+}
+
+const GAME_HASH_PREFIX = "#game=";
+
+// Game file text for a record of the server's archive (GET /api/games/:id)
+function formatArchivedGame(record) {
+  const getName = side => (record.players[side] && record.players[side].name) || undefined;
+  const startedAt = new Date(record.startedAt);
+  const pad = n => (n < 10 ? "0" : "") + n;
+  return formatGame(
+    record.actions.map(({ player, at, ...action }) => action),
+    {
+      Date: startedAt.getFullYear() + "." + pad(startedAt.getMonth() + 1) + "." + pad(startedAt.getDate()),
+      White: getName(PLAYER_X),
+      Black: getName(PLAYER_O),
+      TimeControl: record.timeControl,
+      Result: getResultTag({ gameOver: true, winner: record.winner }),
+      Termination: record.reason || undefined
+    }
+  );
+}
+
+function getHashGameId() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(GAME_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(GAME_HASH_PREFIX.length)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// A #game= link (from a player profile) replays that archived game
+function loadHashGame() {
+  const id = getHashGameId();
+  if (id === null) return false;
+  setGameMode("human");
+  fetch("/api/games/" + encodeURIComponent(id))
+    .then(res => (res.ok ? res.json() : Promise.reject(new Error(res.statusText))))
+    .then(record => importGame(formatArchivedGame(record)))
+    .catch(() => alert("Could not load that game."));
+  return true;
+}
+
+/****************************************************
+ * Position strings (notation.js) and #pos= links
+ ****************************************************/
+
+const POSITION_HASH_PREFIX = "#pos=";
+
+function getPositionLink() {
+  const url = window.location.href.split("#")[0];
+  return url + POSITION_HASH_PREFIX + encodeURIComponent(formatPosition(getGameState()));
+}
+
+// Show the current position string; paste another one to set it up
+function editPosition() {
+  const current = formatPosition(getGameState());
+  const text = window.prompt(
+    "Position (copy it, or paste one to load it).\nLink: " + getPositionLink(),
+    current
+  );
+  if (text === null || text.trim() === current) return;
+  loadPosition(text);
+}
+
+// Set up a position string in local 2-player mode. Returns false (after
+// telling the user) if it can't be read.
+function loadPosition(text) {
+  try {
+    parsePosition(text);
+  } catch (err) {
+    alert(err.message);
+    return false;
+  }
+
+  const inOwnGame =
+    gameMode === "online" && roomId && isRoomFull && !isSpectating && !gameOver;
+  if (inOwnGame && !window.confirm("Leave your current game to set up this position?")) {
+    return false;
+  }
+  if (gameMode === "online" && socket) {
+    disconnectOnline();
+  }
+  gameMode = "human";
+  initGame(text);
+  return true;
+}
+
+function getHashPosition() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(POSITION_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(POSITION_HASH_PREFIX.length));
+  } catch {
+    return null;
+  }
+}
+
+// A #pos= link opens that position instead of going online
+function loadHashPosition() {
+  const position = getHashPosition();
+  return position !== null && loadPosition(position);
+}
+
+/****************************************************
+ * Chess clocks
+ ****************************************************/
+
+function loadTimeControl() {
+  try {
+    const stored = window.localStorage.getItem(TIME_CONTROL_STORAGE_KEY);
+    if (stored && isTimeControl(stored)) return stored;
+  } catch {
+    // Storage unavailable: fall back to the default
+  }
+  return DEFAULT_TIME_CONTROL;
+}
+
+function renderTimeControlOptions() {
+  const select = document.getElementById("time-control");
+  if (!select) return;
+  if (select.options.length === 0) {
+    Object.values(TIME_CONTROLS).forEach(tc => {
+      const option = document.createElement("option");
+      option.value = tc.id;
+      option.textContent = tc.label;
+      select.appendChild(option);
+    });
+  }
+  select.value = selectedTimeControl;
+}
+
+// Chosen from the controls; applies to the next game. An online player
+// still waiting for an opponent is re-queued with the new time control.
+function setTimeControl(id) {
+  if (!isTimeControl(id)) return;
+  selectedTimeControl = id;
+  try {
+    window.localStorage.setItem(TIME_CONTROL_STORAGE_KEY, id);
+  } catch {
+    // Not persisted; still used for this session
+  }
+
+  if (gameMode === "human") {
+    initGame();
+  } else if (gameMode === "online" && socket && !isRoomFull) {
+    disconnectOnline();
+    initGame();
+  }
+}
+
+function startClockTicker() {
+  if (clockTickTimer) return;
+  clockTickTimer = setInterval(tickClock, 100);
+}
+
+function tickClock() {
+  // Online the server decides when a flag falls; locally we do
+  if (clock && gameMode !== "online" && !gameOver && isFlagged(clock, Date.now())) {
+    flagLocalClock();
+    return;
+  }
+  renderClocks();
+}
+
+function flagLocalClock() {
+  const loser = clock.running;
+  clock = stopClock(clock, Date.now());
+  gameOver = true;
+  winner = otherPlayer(loser);
+  endReason = END_REASONS.TIMEOUT;
+  selectedFromBoardIndex = null;
+  selectedPoolPiece = null;
+
+  endGame(getResultMessage());
+  renderBoard();
+  renderPiecePools();
+  renderClocks();
+  recordHistorySnapshot();
+}
+
+/****************************************************
+ * Initial setup
+ ****************************************************/
+
+// `position` is an optional notation.js position string to start from
+function initGame(position) {
+  setGameState(position ? parsePosition(position) : createInitialState());
+  // Online clocks come from the server; the AI plays untimed
+  clock = gameMode === "human" ? createClock(selectedTimeControl) : null;
+  selectedFromBoardIndex = null;
+  selectedPoolPiece = null;
+  actionNotice = null;
+  hint = null;
+  takebackRequestedBy = null;
+  drawOfferedBy = null;
+  stopAiSearch();
+  stopReview();
+  isAiPaused = false;
+  isDemoPlaying = false;
+  renderAiPanel();
+
+  // Reset last-move highlight
+  lastMoveIndex = null;
+
+  // Reset history and record initial position
+  moveHistory = [];
+  moveIndex = -1;
+
+  // Attach drag & drop handlers to board cells
+  for (let i = 0; i < BOARD_CELLS; i++) {
+    const cellEl = document.getElementById("cell-" + i);
+    if (!cellEl) continue;
+    cellEl.addEventListener("dragover", onCellDragOver);
+    cellEl.addEventListener("drop", function (event) {
+      onCellDrop(event, i);
+    });
+  }
+
+  renderBoard();
+  renderPiecePools();
+
+  // Attach global keyboard listener for history once
+  if (!window.__ctttHistoryKeysBound) {
+    window.__ctttHistoryKeysBound = true;
+    window.addEventListener("keydown", handleHistoryKeyDown);
+  }
+
+  // Update active mode button styling
+  const buttons = document.querySelectorAll("[data-mode-button]");
+  buttons.forEach(btn => {
+    const mode = btn.getAttribute("data-mode");
+    btn.classList.toggle("mode-active", mode === gameMode);
+  });
+
+  renderTimeControlOptions();
+  renderGameTypeOption();
+  renderAiLevelOptions();
+  checkTablebase();
+  renderAiPlayerOptions();
+  renderClocks();
+  startClockTicker();
+
+  // Initialize online mode if it's the default
+  if (gameMode === "online" && !socket) {
+    connectOnline();
+  }
+
+  // Record the initial (empty) position as move 1 in history
+  recordHistorySnapshot();
+
+  // The AI may be the side to move (playing White, or a loaded position)
+  maybeTriggerAiTurn();
+}
+
+function setGameMode(mode) {
+  if (mode !== "ai" && mode !== "human" && mode !== "demo" && mode !== "online") {
+    mode = "human";
+  }
+  
+  // Disconnect socket if switching away from online
+  if (gameMode === "online" && mode !== "online" && socket) {
+    disconnectOnline();
+  }
+
+  // "Online" from the lobby, while watching or while waiting for a friend
+  // means: go and play a random opponent
+  if (mode === "online" && socket && (isBrowsingLobby || isSpectating || inviteCode)) {
+    disconnectOnline();
+  }
+  
+  // Connect socket if switching to online
+  if (mode === "online" && !socket) {
+    connectOnline();
+    document.getElementById("room-ui").style.display = "none"; // Hide room UI
+  }
+  
+  gameMode = mode;
+  initGame();
+}
+
+/****************************************************
+ * Online multiplayer (Socket.IO)
+ ****************************************************/
+
+function getSessionToken() {
+  try {
+    return window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function setSessionToken(token) {
+  try {
+    if (token) {
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, token);
+    } else {
+      window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable (private mode): reconnecting just won't survive a reload
+  }
+}
+
+function connectOnline() {
+  socket = io();
+  setupSocketHandlers();
+}
+
+function disconnectOnline() {
+  // Leaving on purpose gives up our seat, so forget its token
+  setSessionToken(null);
+  socket.disconnect();
+  socket = null;
+  onlinePlayerId = null;
+  roomId = null;
+  isRoomFull = false;
+  isReconnecting = false;
+  isOpponentReconnecting = false;
+  isSpectating = false;
+  spectatorCount = 0;
+  isBrowsingLobby = false;
+  matchInfo = null;
+  friendRoom = null;
+  inviteCode = null;
+  seatNames = { X: null, O: null };
+  seatRatings = { X: null, O: null };
+  isRatedRoom = false;
+  ratingChanges = null;
+  chatMessages = [];
+  mutedSeats = [];
+  closeLobby();
+}
+
+/****************************************************
+ * Match score and rematches
+ ****************************************************/
+
+// "New Game" in a finished online game asks the same opponent for a rematch
+function newGame() {
+  if (gameMode === "online" && socket && isRoomFull && !isSpectating && gameOver) {
+    if (matchInfo && matchInfo.rematchOfferedBy === otherPlayer(onlinePlayerId)) {
+      socket.emit("acceptRematch");
+    } else {
+      socket.emit("offerRematch");
+    }
+    return;
+  }
+  initGame();
+}
+
+function formatMatchScore() {
+  const { score, draws } = matchInfo;
+  const drawPart = draws ? ` (${draws} draw${draws === 1 ? "" : "s"})` : "";
+  if (isSpectating || !onlinePlayerId) {
+    return `Match: White ${score[PLAYER_X]} – ${score[PLAYER_O]} Black${drawPart}`;
+  }
+  const opponent = otherPlayer(onlinePlayerId);
+  return `Match: You ${score[onlinePlayerId]} – ${score[opponent]} Opponent${drawPart}`;
+}
+
+function renderMatchPanel() {
+  const panel = document.getElementById("match-ui");
+  if (!panel) return;
+
+  const inMatch =
+    gameMode === "online" && roomId && isRoomFull && !isBrowsingLobby &&
+    matchInfo && (matchInfo.games > 0 || gameOver);
+  if (!inMatch) {
+    panel.style.display = "none";
+    panel.innerHTML = "";
+    return;
+  }
+  panel.style.display = "";
+  panel.innerHTML = "";
+
+  const scoreEl = document.createElement("span");
+  scoreEl.className = "match-score";
+  scoreEl.textContent = formatMatchScore();
+  panel.appendChild(scoreEl);
+
+  if (ratingChanges && gameOver) {
+    const ratingEl = document.createElement("span");
+    ratingEl.textContent = formatRatingChange();
+    panel.appendChild(ratingEl);
+  }
+
+  if (isSpectating || !gameOver || isOpponentReconnecting) return;
+
+  const offeredBy = matchInfo.rematchOfferedBy;
+  if (offeredBy === onlinePlayerId) {
+    const waiting = document.createElement("span");
+    waiting.textContent = "Rematch offered, waiting for opponent...";
+    panel.appendChild(waiting);
+    return;
+  }
+
+  if (offeredBy) {
+    const prompt = document.createElement("span");
+    prompt.textContent = "Opponent wants a rematch.";
+    panel.appendChild(prompt);
+  }
+
+  const rematchBtn = document.createElement("button");
+  rematchBtn.type = "button";
+  rematchBtn.textContent = offeredBy ? "Accept" : "Rematch";
+  rematchBtn.addEventListener("click", newGame);
+  panel.appendChild(rematchBtn);
+
+  if (offeredBy) {
+    const declineBtn = document.createElement("button");
+    declineBtn.type = "button";
+    declineBtn.textContent = "Decline";
+    declineBtn.addEventListener("click", function () {
+      socket.emit("declineRematch");
+    });
+    panel.appendChild(declineBtn);
+  }
+}
+
+/****************************************************
+ * Accounts, names and ratings
+ ****************************************************/
+
+let identity = null; // { name, guest } this browser plays as, or null
+let isAccountPanelOpen = false;
+
+// Ask the server who the identity cookie says we are
+function loadIdentity() {
+  if (typeof fetch !== "function") return Promise.resolve(null);
+  return fetch("/api/me")
+    .then(res => (res.ok ? res.json() : null))
+    .catch(() => null)
+    .then(result => {
+      identity = result;
+      renderAccountPanel();
+      return identity;
+    });
+}
+
+// POST to an account route; resolves to the new identity or rejects with
+// the server's explanation
+function postAccount(url, body) {
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {})
+  }).then(res =>
+    res.json().catch(() => null).then(data => {
+      if (!res.ok) throw new Error((data && data.error) || "Something went wrong");
+      return data;
+    })
+  );
+}
+
+function isInOwnOnlineGame() {
+  return gameMode === "online" && roomId && isRoomFull && !isSpectating && !gameOver;
+}
+
+// The socket only reads the cookie when it connects: go online again so
+// the new name is the one opponents see
+function setIdentity(newIdentity) {
+  identity = newIdentity;
+  isAccountPanelOpen = false;
+  if (gameMode === "online" && socket) {
+    const lobby = isBrowsingLobby;
+    disconnectOnline();
+    isBrowsingLobby = lobby;
+    initGame();
+  }
+  renderAccountPanel();
+}
+
+function submitAccount(url, withPassword) {
+  if (isInOwnOnlineGame()) {
+    alert("Finish your online game first.");
+    return;
+  }
+  const name = document.getElementById("account-name").value.trim();
+  const password = withPassword ? document.getElementById("account-password").value : undefined;
+  postAccount(url, { name, password })
+    .then(setIdentity)
+    .catch(err => alert(err.message));
+}
+
+function signOut() {
+  if (isInOwnOnlineGame()) {
+    alert("Finish your online game first.");
+    return;
+  }
+  postAccount("/api/logout")
+    .then(() => setIdentity(null))
+    .catch(err => alert(err.message));
+}
+
+function toggleAccountPanel() {
+  isAccountPanelOpen = !isAccountPanelOpen;
+  renderAccountPanel();
+}
+
+function renderAccountPanel() {
+  const button = document.getElementById("account-button");
+  if (button) {
+    button.textContent = identity ? identity.name : "Sign in";
+  }
+  renderGameTypeOption();
+  const panel = document.getElementById("account-ui");
+  if (!panel) return;
+  panel.innerHTML = "";
+  if (!isAccountPanelOpen) {
+    panel.style.display = "none";
+    return;
+  }
+  panel.style.display = "";
+
+  const addButton = (label, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    panel.appendChild(btn);
+  };
+
+  if (identity) {
+    const text = document.createElement("span");
+    text.textContent =
+      "Playing as " + identity.name + (identity.guest ? " (guest)" : "");
+    panel.appendChild(text);
+    if (!identity.guest) {
+      const profile = document.createElement("a");
+      profile.href = "/players/" + encodeURIComponent(identity.name);
+      profile.target = "_blank";
+      profile.textContent = "Profile";
+      panel.appendChild(profile);
     }
+    addButton("Sign out", signOut);
     return;
   }
 
-  // Empty cell clicked: try to place a selected pool piece, if any.
-  if (!cell && selectedPoolPiece && selectedPoolPiece.player === currentPlayer) {
-    placePiece(currentPlayer, selectedPoolPiece.type, index);
+  const nameInput = document.createElement("input");
+  nameInput.id = "account-name";
+  nameInput.placeholder = "Name";
+  nameInput.autocomplete = "username";
+  const passwordInput = document.createElement("input");
+  passwordInput.id = "account-password";
+  passwordInput.type = "password";
+  passwordInput.placeholder = "Password";
+  passwordInput.autocomplete = "current-password";
+  panel.appendChild(nameInput);
+  panel.appendChild(passwordInput);
+  addButton("Sign in", () => submitAccount("/api/login", true));
+  addButton("Register", () => submitAccount("/api/register", true));
+  addButton("Play as guest", () => submitAccount("/api/guest", false));
+}
+
+// { X: name, O: name } from a room's players list; null when anonymous
+function getSeatNames(roomPlayers) {
+  const names = { [PLAYER_X]: null, [PLAYER_O]: null };
+  (roomPlayers || []).forEach(p => {
+    if (p.playerId) names[p.playerId] = p.name || null;
+  });
+  return names;
+}
+
+// A player's name in online games, their color otherwise
+function getSideName(player) {
+  return (gameMode === "online" && seatNames[player]) || getColorName(player);
+}
+
+function loadRatedGames() {
+  try {
+    return window.localStorage.getItem(RATED_STORAGE_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+// Only registered players can play rated games
+function canPlayRated() {
+  return Boolean(identity && !identity.guest);
+}
+
+// What "Online" asks the server for
+function getSeekOptions() {
+  return { timeControl: selectedTimeControl, rated: wantsRatedGames && canPlayRated() };
+}
+
+function renderGameTypeOption() {
+  const select = document.getElementById("game-type");
+  if (select) select.value = wantsRatedGames && canPlayRated() ? "rated" : "casual";
+}
+
+// Like the time control, applies to the next online game and re-queues a
+// player who is still waiting for an opponent
+function setRatedGames(rated) {
+  if (rated && !canPlayRated()) {
+    alert("Sign in to a registered account to play rated games.");
+    renderGameTypeOption();
     return;
   }
+  wantsRatedGames = rated;
+  try {
+    window.localStorage.setItem(RATED_STORAGE_KEY, rated ? "1" : "0");
+  } catch {
+    // Not persisted; still used for this session
+  }
+  if (gameMode === "online" && socket && !isRoomFull && !inviteCode && !isBrowsingLobby) {
+    disconnectOnline();
+    initGame();
+  }
+}
+
+function getSeatRatings(roomPlayers) {
+  const ratings = { [PLAYER_X]: null, [PLAYER_O]: null };
+  (roomPlayers || []).forEach(p => {
+    if (p.playerId) ratings[p.playerId] = p.rating || null;
+  });
+  return ratings;
+}
+
+// "Alice (1532)", or just the name or color when there's no rating
+function getRatedSideName(player) {
+  const rating = gameMode === "online" ? seatRatings[player] : null;
+  return getSideName(player) + (rating ? " (" + rating + ")" : "");
+}
+
+// "Rating 1500 → 1516 (+16)" after a rated game; both sides for spectators
+function formatRatingChange() {
+  if (!ratingChanges) return "";
+  const formatOne = ({ before, after }) => {
+    const diff = after - before;
+    return before + " → " + after + " (" + (diff >= 0 ? "+" : "") + diff + ")";
+  };
+  if (onlinePlayerId && ratingChanges[onlinePlayerId]) {
+    return "Rating " + formatOne(ratingChanges[onlinePlayerId]);
+  }
+  return [PLAYER_X, PLAYER_O]
+    .map(player => getSideName(player) + " " + formatOne(ratingChanges[player]))
+    .join(", ");
 }
 
 /****************************************************
- * Move history helpers (keyboard left/right to browse)
+ * Playing a friend (private rooms and #room= links)
  ****************************************************/
 
-function recordHistorySnapshot() {
-  // Deep-ish copy of current game state for replay
-  const snapshot = {
-    board: board.map(cell => (cell ? { ...cell } : null)),
-    pools: {
-      X: pools.X.slice(),
-      O: pools.O.slice()
-    },
-    currentPlayer,
-    gameOver,
-    lastMoveIndex: lastMoveIndex  // Track which square the last move ended on
-  };
+const ROOM_HASH_PREFIX = "#room=";
 
-  // If we had rewound, drop any "future" moves
-  if (moveIndex >= 0 && moveIndex < moveHistory.length - 1) {
-    moveHistory = moveHistory.slice(0, moveIndex + 1);
+function getInviteLink(code) {
+  const url = window.location.href.split("#")[0];
+  return url + ROOM_HASH_PREFIX + encodeURIComponent(code);
+}
+
+// Go online in a private room: "create" for a new one, or an invite code
+function goToFriendRoom(target) {
+  const inOwnGame =
+    gameMode === "online" && roomId && isRoomFull && !isSpectating && !gameOver;
+  if (inOwnGame && !window.confirm("Leave your current game to play a friend?")) {
+    return false;
+  }
+  if (socket) {
+    disconnectOnline();
   }
+  // Going to the friend's room gives up any seat this tab held before
+  setSessionToken(null);
+  friendRoom = target;
+  gameMode = "online";
+  initGame();
+  return true;
+}
 
-  moveHistory.push(snapshot);
-  moveIndex = moveHistory.length - 1;
+// "Play a friend": create a private room and show its invite
+function playFriend() {
+  goToFriendRoom("create");
 }
 
-function stepHistory(direction) {
-  if (!moveHistory.length) return;
-  const newIndex = moveIndex + direction;
-  // Valid indices are 0 to moveHistory.length - 1
-  if (newIndex < 0 || newIndex >= moveHistory.length) return;
+function getHashRoom() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(ROOM_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(ROOM_HASH_PREFIX.length)).trim() || null;
+  } catch {
+    return null;
+  }
+}
 
-  moveIndex = newIndex;
-  const snapshot = moveHistory[moveIndex];
-  
-  // Safety check: ensure snapshot exists and has required properties
-  if (!snapshot || !snapshot.board || !snapshot.pools) return;
+// A #room= link joins that private room. The hash is dropped again, so
+// reloading the page resumes the seat instead of joining a second time.
+function loadHashRoom() {
+  const code = getHashRoom();
+  if (code === null) return false;
+  window.history.replaceState(null, "", window.location.href.split("#")[0]);
+  return goToFriendRoom(code);
+}
 
-  board = snapshot.board.map(cell => (cell ? { ...cell } : null));
-  pools = {
-    X: snapshot.pools.X.slice(),
-    O: snapshot.pools.O.slice()
-  };
-  currentPlayer = snapshot.currentPlayer;
-  gameOver = snapshot.gameOver;
-  // Restore last move highlight from snapshot (or null if not set)
-  lastMoveIndex = snapshot.lastMoveIndex !== undefined ? snapshot.lastMoveIndex : null;
+// Links this page understands: #pos=, #game= and #room=
+function loadHashLink() {
+  return loadHashPosition() || loadHashGame() || loadHashRoom();
+}
 
-  renderBoard();
-  renderPiecePools();
+function copyInviteLink() {
+  const link = getInviteLink(inviteCode);
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(link).catch(() => window.prompt("Invite link:", link));
+  } else {
+    window.prompt("Invite link:", link);
+  }
 }
 
-function handleHistoryKeyDown(event) {
-  if (event.key === "ArrowLeft") {
-    stepHistory(-1);
-  } else if (event.key === "ArrowRight") {
-    stepHistory(1);
+// The code and link to send while a private room waits for the friend
+function renderInvitePanel() {
+  const roomUi = document.getElementById("room-ui");
+  if (!roomUi || isBrowsingLobby) return;
+  roomUi.innerHTML = "";
+  if (gameMode !== "online" || !inviteCode || isRoomFull) {
+    roomUi.style.display = "none";
+    return;
   }
+  roomUi.style.display = "";
+
+  const row = document.createElement("div");
+  row.className = "lobby-header";
+
+  const label = document.createElement("span");
+  label.textContent = "Invite code: ";
+  const code = document.createElement("span");
+  code.className = "invite-code";
+  code.textContent = inviteCode;
+  label.appendChild(code);
+
+  const copyBtn = document.createElement("button");
+  copyBtn.type = "button";
+  copyBtn.textContent = "Copy link";
+  copyBtn.addEventListener("click", copyInviteLink);
+
+  const link = document.createElement("a");
+  link.className = "invite-link";
+  link.href = getInviteLink(inviteCode);
+  link.textContent = link.href;
+
+  row.appendChild(label);
+  row.appendChild(copyBtn);
+  roomUi.appendChild(row);
+  roomUi.appendChild(link);
 }
 
 /****************************************************
- * Initial setup
+ * Chat
  ****************************************************/
 
-function initGame() {
-  board = Array(BOARD_CELLS).fill(null);
-  pools = {
-    [PLAYER_X]: PIECE_TYPES.slice(), // P, R, N, B
-    [PLAYER_O]: PIECE_TYPES.slice()
-  };
-  currentPlayer = PLAYER_X;
-  gameOver = false;
-  selectedFromBoardIndex = null;
-  selectedPoolPiece = null;
-  isAiThinking = false;
-
-  // Reset last-move highlight
-  lastMoveIndex = null;
+const QUICK_CHAT_MESSAGES = ["Good luck", "Good game", "Nice move", "Oops", "Thanks", "Well played"];
+const MUTED_PLAYERS_STORAGE_KEY = "ctttMutedPlayers";
 
-  // Reset history and record initial position
-  moveHistory = [];
-  moveIndex = -1;
+let chatMessages = []; // { from, name, text, at } of the current room
+let mutedPlayers = loadMutedPlayers(); // lowercased names, remembered
+let mutedSeats = []; // colors of anonymous players muted in this room
 
-  // Attach drag & drop handlers to board cells
-  for (let i = 0; i < BOARD_CELLS; i++) {
-    const cellEl = document.getElementById("cell-" + i);
-    if (!cellEl) continue;
-    cellEl.addEventListener("dragover", onCellDragOver);
-    cellEl.addEventListener("drop", function (event) {
-      onCellDrop(event, i);
-    });
+function loadMutedPlayers() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(MUTED_PLAYERS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
   }
+}
 
-  renderBoard();
-  renderPiecePools();
+function isChatMuted(message) {
+  if (message.from === onlinePlayerId && !isSpectating) return false;
+  return message.name
+    ? mutedPlayers.indexOf(message.name.toLowerCase()) !== -1
+    : mutedSeats.indexOf(message.from) !== -1;
+}
 
-  // Attach global keyboard listener for history once
-  if (!window.__ctttHistoryKeysBound) {
-    window.__ctttHistoryKeysBound = true;
-    window.addEventListener("keydown", handleHistoryKeyDown);
+// Named players stay muted across games; anonymous ones for this room
+function toggleMuteOpponent() {
+  if (!onlinePlayerId) return;
+  const opponent = otherPlayer(onlinePlayerId);
+  const name = seatNames[opponent];
+  const toggle = (list, item) =>
+    list.indexOf(item) === -1 ? [...list, item] : list.filter(entry => entry !== item);
+
+  if (name) {
+    mutedPlayers = toggle(mutedPlayers, name.toLowerCase());
+    try {
+      window.localStorage.setItem(MUTED_PLAYERS_STORAGE_KEY, JSON.stringify(mutedPlayers));
+    } catch {
+      // Not persisted; still muted for this session
+    }
+  } else {
+    mutedSeats = toggle(mutedSeats, opponent);
   }
+  renderChatPanel();
+}
 
-  // Update active mode button styling
-  const buttons = document.querySelectorAll("[data-mode-button]");
-  buttons.forEach(btn => {
-    const mode = btn.getAttribute("data-mode");
-    btn.classList.toggle("mode-active", mode === gameMode);
-  });
+function isOpponentMuted() {
+  if (!onlinePlayerId) return false;
+  const opponent = otherPlayer(onlinePlayerId);
+  return isChatMuted({ from: opponent, name: seatNames[opponent] });
+}
 
-  // Initialize online mode if it's the default
-  if (gameMode === "online" && !socket) {
-    socket = io();
-    setupSocketHandlers();
-    socket.emit("findOrCreateRoom");
-  }
+function sendChat(text) {
+  if (!socket || !onlinePlayerId || isSpectating) return;
+  socket.emit("chatMessage", { text });
+}
 
-  // Record the initial (empty) position as move 1 in history
-  recordHistorySnapshot();
+function sendChatFromInput(event) {
+  event.preventDefault();
+  const input = document.getElementById("chat-input");
+  if (!input || !input.value.trim()) return;
+  sendChat(input.value);
+  input.value = "";
 }
 
-function setGameMode(mode) {
-  if (mode !== "ai" && mode !== "human" && mode !== "online") {
-    mode = "human";
+function addChatMessage(message) {
+  chatMessages.push(message);
+  renderChatLog();
+}
+
+function getChatSender(message) {
+  if (message.from === onlinePlayerId && !isSpectating) return "You";
+  return message.name || getColorName(message.from);
+}
+
+function renderChatLog() {
+  const log = document.getElementById("chat-log");
+  if (!log) return;
+  log.innerHTML = "";
+  const shown = chatMessages.filter(message => !isChatMuted(message));
+  shown.forEach(message => {
+    const line = document.createElement("div");
+    line.className = "chat-line";
+    const sender = document.createElement("span");
+    sender.className = "chat-sender";
+    sender.textContent = getChatSender(message) + ": ";
+    line.appendChild(sender);
+    line.appendChild(document.createTextNode(message.text));
+    log.appendChild(line);
+  });
+  if (!shown.length) {
+    log.textContent = isSpectating ? "No messages yet." : "Say hello to your opponent.";
   }
-  
-  // Disconnect socket if switching away from online
-  if (gameMode === "online" && mode !== "online" && socket) {
-    socket.disconnect();
-    socket = null;
-    onlinePlayerId = null;
-    roomId = null;
-    isRoomFull = false;
+  log.scrollTop = log.scrollHeight;
+}
+
+// Seated players get the quick messages, input and mute button;
+// spectators just read
+function renderChatPanel() {
+  const panel = document.getElementById("chat-ui");
+  if (!panel) return;
+  const inRoom =
+    gameMode === "online" && roomId && isRoomFull && !isBrowsingLobby;
+  panel.style.display = inRoom ? "" : "none";
+  if (!inRoom) return;
+
+  const quick = document.getElementById("chat-quick");
+  if (quick && quick.children.length === 0) {
+    QUICK_CHAT_MESSAGES.forEach(text => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = text;
+      button.addEventListener("click", () => sendChat(text));
+      quick.appendChild(button);
+    });
   }
-  
-  // Connect socket if switching to online
-  if (mode === "online" && !socket) {
-    socket = io();
-    setupSocketHandlers();
-    // Automatically find or create a room
-    socket.emit("findOrCreateRoom");
-    document.getElementById("room-ui").style.display = "none"; // Hide room UI
+
+  const controls = document.getElementById("chat-controls");
+  if (controls) controls.style.display = isSpectating ? "none" : "";
+  const muteBtn = document.getElementById("chat-mute");
+  if (muteBtn && onlinePlayerId) {
+    const opponentName = seatNames[otherPlayer(onlinePlayerId)] || "opponent";
+    muteBtn.textContent = (isOpponentMuted() ? "Unmute " : "Mute ") + opponentName;
   }
-  
-  gameMode = mode;
-  initGame();
+  renderChatLog();
 }
 
 /****************************************************
- * Online multiplayer (Socket.IO)
+ * Spectator lobby
  ****************************************************/
 
+// Show live games to watch instead of pairing with a random opponent
+function openLobby() {
+  const inOwnGame =
+    gameMode === "online" && roomId && isRoomFull && !isSpectating && !gameOver;
+  if (inOwnGame && !window.confirm("Leave your current game to watch others?")) {
+    return;
+  }
+
+  if (socket) {
+    disconnectOnline();
+  }
+  gameMode = "online";
+  isBrowsingLobby = true;
+  renderLobby([]);
+  initGame();
+}
+
+function closeLobby() {
+  const roomUi = document.getElementById("room-ui");
+  if (roomUi) {
+    roomUi.style.display = "none";
+    roomUi.innerHTML = "";
+  }
+}
+
+function refreshLobby() {
+  if (socket) socket.emit("listRooms");
+}
+
+function renderLobby(liveRooms) {
+  const roomUi = document.getElementById("room-ui");
+  if (!roomUi) return;
+  roomUi.style.display = "";
+  roomUi.innerHTML = "";
+
+  const header = document.createElement("div");
+  header.className = "lobby-header";
+  header.textContent = liveRooms.length
+    ? "Live games"
+    : "No games in progress right now.";
+
+  const refreshBtn = document.createElement("button");
+  refreshBtn.type = "button";
+  refreshBtn.textContent = "Refresh";
+  refreshBtn.addEventListener("click", refreshLobby);
+
+  const playBtn = document.createElement("button");
+  playBtn.type = "button";
+  playBtn.textContent = "Play instead";
+  playBtn.addEventListener("click", function () {
+    isBrowsingLobby = false;
+    closeLobby();
+    socket.emit("findOrCreateRoom", getSeekOptions());
+    updateStatus();
+  });
+
+  header.appendChild(refreshBtn);
+  header.appendChild(playBtn);
+  roomUi.appendChild(header);
+
+  liveRooms.forEach(room => {
+    const row = document.createElement("div");
+    row.className = "lobby-room";
+
+    const label = document.createElement("span");
+    const tc = TIME_CONTROLS[room.timeControl];
+    const names = room.names || {};
+    const ratings = room.ratings || {};
+    const lobbyName = player => names[player] + (ratings[player] ? " (" + ratings[player] + ")" : "");
+    label.textContent =
+      (names[PLAYER_X] && names[PLAYER_O] ? lobbyName(PLAYER_X) + " vs " + lobbyName(PLAYER_O) + " · " : "") +
+      (room.rated ? "Rated · " : "") +
+      getColorName(room.currentPlayer) + " to play" +
+      (tc && tc.id !== "none" ? " · " + tc.label : "") +
+      " · " + room.spectatorCount + " watching";
+
+    const watchBtn = document.createElement("button");
+    watchBtn.type = "button";
+    watchBtn.textContent = "Watch";
+    watchBtn.addEventListener("click", function () {
+      socket.emit("watchRoom", { roomId: room.roomId });
+    });
+
+    row.appendChild(label);
+    row.appendChild(watchBtn);
+    roomUi.appendChild(row);
+  });
+}
+
+// Ask the server for our place: our seat back (after a network switch or a
+// page reload), else the room being watched, the lobby, the friend's room
+// we're heading for, or a game against anyone
+function requestOnlinePlace() {
+  const token = getSessionToken();
+  if (token) {
+    socket.emit("resumeSession", { sessionToken: token });
+  } else if (isSpectating && roomId) {
+    socket.emit("watchRoom", { roomId });
+  } else if (isBrowsingLobby) {
+    socket.emit("listRooms");
+  } else if (!roomId && friendRoom === "create") {
+    socket.emit("createRoom", { timeControl: selectedTimeControl });
+  } else if (!roomId && friendRoom) {
+    socket.emit("joinRoom", { roomId: friendRoom });
+  } else if (!roomId) {
+    socket.emit("findOrCreateRoom", getSeekOptions());
+  }
+}
+
 function setupSocketHandlers() {
   if (!socket) return;
 
+  // Fires on the first connection and again after every automatic reconnect
+  socket.on("connect", () => {
+    isReconnecting = false;
+    requestOnlinePlace();
+  });
+
+  socket.on("disconnect", () => {
+    if (!roomId) return;
+    isReconnecting = true;
+    updateStatus();
+  });
+
   socket.on("roomCreated", (data) => {
     roomId = data.roomId;
     onlinePlayerId = data.playerId;
     isRoomFull = data.isFull || false;
+    friendRoom = null;
+    inviteCode = data.inviteCode || null;
+    isRatedRoom = Boolean(data.rated);
+    setSessionToken(data.sessionToken);
     // Update status to show waiting for opponent
     updateStatus();
   });
 
   socket.on("roomJoined", (data) => {
     roomId = data.roomId;
+    friendRoom = null;
     isRoomFull = data.isFull || (data.playersCount === 2);
+    isOpponentReconnecting = false;
+    matchInfo = data.match || null;
+    if (data.sessionToken) {
+      setSessionToken(data.sessionToken);
+    }
     // Find our player ID from the players list
     // The server sends players array with { id: socketId, playerId: 'X'|'O' }
     const ourPlayer = data.players.find(p => p.id === socket.id);
@@ -1262,9 +3051,108 @@ function setupSocketHandlers() {
       // Second player to join is always O
       onlinePlayerId = data.players.length === 2 ? "O" : "X";
     }
+    seatNames = getSeatNames(data.players);
+    seatRatings = getSeatRatings(data.players);
+    isRatedRoom = Boolean(data.rated);
+    ratingChanges = null;
+    chatMessages = data.chat || [];
+    // A new game (first one or a rematch) starts a fresh local history
+    board = null;
+    moveHistory = [];
+    moveIndex = -1;
+    stopReview();
+    takebackRequestedBy = null;
+    drawOfferedBy = null;
+    syncGameStateFromServer(data.gameState);
+  });
+
+  socket.on("sessionResumed", (data) => {
+    roomId = data.roomId;
+    onlinePlayerId = data.playerId;
+    isRoomFull = data.isFull;
+    isReconnecting = false;
+    matchInfo = data.match || null;
+    inviteCode = data.inviteCode || null;
+    seatNames = getSeatNames(data.players);
+    seatRatings = getSeatRatings(data.players);
+    isRatedRoom = Boolean(data.rated);
+    chatMessages = data.chat || [];
+    setSessionToken(data.sessionToken);
+    syncGameStateFromServer(data.gameState);
+  });
+
+  socket.on("sessionExpired", () => {
+    // Our seat is gone (game forfeited or server restarted): carry on to
+    // the room being watched, the lobby or the friend's room, if any
+    setSessionToken(null);
+    if (!isSpectating) roomId = null;
+    onlinePlayerId = null;
+    isRoomFull = false;
+    initGame();
+    requestOnlinePlace();
+  });
+
+  socket.on("roomList", (data) => {
+    if (isBrowsingLobby) {
+      renderLobby(data.rooms || []);
+    }
+  });
+
+  socket.on("spectating", (data) => {
+    roomId = data.roomId;
+    onlinePlayerId = null;
+    isSpectating = true;
+    isRoomFull = true;
+    isBrowsingLobby = false;
+    friendRoom = null;
+    spectatorCount = data.spectatorCount;
+    matchInfo = data.match || null;
+    seatNames = getSeatNames(data.players);
+    seatRatings = getSeatRatings(data.players);
+    isRatedRoom = Boolean(data.rated);
+    ratingChanges = null;
+    chatMessages = data.chat || [];
+    closeLobby();
+    // Start a fresh local history for the game we're watching
+    board = null;
+    moveHistory = [];
+    moveIndex = -1;
+    stopReview();
+    takebackRequestedBy = null;
+    drawOfferedBy = null;
     syncGameStateFromServer(data.gameState);
   });
 
+  socket.on("spectatorCount", (data) => {
+    spectatorCount = data.count;
+    updateStatus();
+  });
+
+  socket.on("roomClosed", () => {
+    if (!isSpectating) return;
+    isSpectating = false;
+    roomId = null;
+    isBrowsingLobby = true;
+    refreshLobby();
+    updateStatus();
+  });
+
+  socket.on("ratingUpdate", (data) => {
+    ratingChanges = data.ratings;
+    seatRatings = { X: data.ratings.X.after, O: data.ratings.O.after };
+    renderMatchPanel();
+  });
+
+  socket.on("matchUpdate", (data) => {
+    matchInfo = data;
+    renderMatchPanel();
+  });
+
+  socket.on("playerReconnected", () => {
+    isOpponentReconnecting = false;
+    updateStatus();
+  });
+
   socket.on("gameStateUpdate", (gameState) => {
     syncGameStateFromServer(gameState);
   });
@@ -1277,14 +3165,40 @@ function setupSocketHandlers() {
     }
   });
 
+  socket.on("takebackUpdate", (data) => {
+    takebackRequestedBy = data.requestedBy;
+    renderOfferPanel();
+  });
+
+  socket.on("takenBack", applyTakeback);
+
+  socket.on("drawOfferUpdate", (data) => {
+    drawOfferedBy = data.offeredBy;
+    renderOfferPanel();
+  });
+
+  socket.on("chatMessage", (message) => {
+    addChatMessage(message);
+  });
+
   socket.on("error", (data) => {
     alert(data.message || "An error occurred");
+    // An invite that led nowhere: don't sit waiting for nobody
+    if (friendRoom && !roomId && (data.code === "room_not_found" || data.code === "already_in_room")) {
+      disconnectOnline();
+      setGameMode("human");
+    }
   });
 
   socket.on("playerDisconnected", (data) => {
-    if (data.reason === "opponent_disconnected") {
+    if (data.reason === "reconnecting") {
+      // Opponent lost their connection; the server holds their seat for a while
+      isOpponentReconnecting = true;
+      updateStatus();
+    } else if (data.reason === "opponent_disconnected") {
+      isOpponentReconnecting = false;
       // Opponent disconnected during a game - winner message will come via gameStateUpdate
-      const opponentColor = data.playerId === "X" ? "White" : "Black";
+      const opponentColor = getSideName(data.playerId);
       const statusEl = document.getElementById("status");
       if (statusEl) {
         statusEl.textContent = `${opponentColor} disconnected. You win!`;
@@ -1297,6 +3211,7 @@ function setupSocketHandlers() {
         statusEl.textContent = "Opponent disconnected. Waiting for a new opponent...";
       }
       isRoomFull = false;
+      matchInfo = null;
       updateStatus();
     }
   });
@@ -1310,13 +3225,14 @@ function syncGameStateFromServer(gameState) {
   const previousBoard = board && board.length > 0 ? board.map(cell => cell ? { ...cell } : null) : null;
   const previousCurrentPlayer = currentPlayer;
   
-  board = gameState.board.map(cell => cell ? { ...cell } : null);
-  pools = {
-    X: gameState.pools.X.slice(),
-    O: gameState.pools.O.slice()
-  };
-  currentPlayer = gameState.currentPlayer;
-  gameOver = gameState.gameOver;
+  setGameState(gameState);
+  // Rebase the server's clock snapshot onto our own time
+  clock = gameState.clock
+    ? {
+        ...gameState.clock,
+        turnStartedAt: gameState.clock.running ? Date.now() : null
+      }
+    : null;
   
   // Detect last move destination by comparing boards (only if turn changed, indicating a move was made)
   if (previousBoard && previousCurrentPlayer && previousCurrentPlayer !== currentPlayer && !gameOver) {
@@ -1352,32 +3268,7 @@ function syncGameStateFromServer(gameState) {
   // Update status after syncing state
   updateStatus();
   
-  if (gameState.winner) {
-    endGame((gameState.winner === "X" ? "White" : "Black") + " wins!");
-  } else if (gameState.gameOver) {
-    endGame("Draw!");
-  }
-}
-
-// Room functions kept for backward compatibility but not used in auto-join flow
-function createRoom() {
-  if (!socket) {
-    alert("Please select Online mode first");
-    return;
-  }
-  socket.emit("createRoom");
-}
-
-function joinRoom() {
-  if (!socket) {
-    alert("Please select Online mode first");
-    return;
-  }
-  const roomIdInput = document.getElementById("room-id-input").value.trim();
-  if (!roomIdInput) {
-    alert("Please enter a room ID");
-    return;
+  if (gameState.gameOver) {
+    endGame(getResultMessage());
   }
-  socket.emit("joinRoom", { roomId: roomIdInput });
 }
-
@@ -0,0 +1,127 @@
+// Registered players, kept in one JSON file:
+//
+//   {
+//     "alice": { name: "Alice", salt, hash, createdAt },
+//     ...
+//   }
+//
+// Keys are the lowercased names, so "Alice" and "alice" are the same
+// account. Passwords are only stored as scrypt hashes (hex, with their salt).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCOUNTS_FILE =
+  process.env.ACCOUNTS_FILE || path.join(__dirname, "..", "data", "accounts.json");
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Resolves to the accounts object, read once and then kept in memory
+let loading = null;
+
+// Writes are chained so two sign-ups never overwrite each other
+let writeQueue = Promise.resolve();
+
+function loadAccounts() {
+  if (!loading) {
+    loading = fs.promises
+      .readFile(ACCOUNTS_FILE, "utf8")
+      .then(text => JSON.parse(text))
+      .catch(err => {
+        if (err.code === "ENOENT") return {};
+        // Don't start over with an empty file on top of a broken one
+        loading = null;
+        throw err;
+      });
+  }
+  return loading;
+}
+
+function saveAccounts(accounts) {
+  writeQueue = writeQueue.then(async () => {
+    await fs.promises.mkdir(path.dirname(ACCOUNTS_FILE), { recursive: true });
+    // Written aside and renamed, so a crash never leaves half a file
+    const partial = ACCOUNTS_FILE + ".partial";
+    await fs.promises.writeFile(partial, JSON.stringify(accounts, null, 2) + "\n");
+    await fs.promises.rename(partial, ACCOUNTS_FILE);
+  });
+  return writeQueue;
+}
+
+function getNameKey(name) {
+  return String(name).toLowerCase();
+}
+
+// Error message for a name that can't be used, or null
+function checkName(name) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    return "Names are 3 to 20 letters, digits, - or _";
+  }
+  return null;
+}
+
+async function hashPassword(password, salt) {
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return key.toString("hex");
+}
+
+// { name } of the new account. Throws an Error with a message for the
+// user when the name or password can't be used.
+async function register(name, password) {
+  const nameError = checkName(name);
+  if (nameError) throw new Error(nameError);
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const accounts = await loadAccounts();
+  const key = getNameKey(name);
+  if (accounts[key]) throw new Error("That name is taken");
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await hashPassword(password, salt);
+  // Checked again: another sign-up may have taken the name while hashing
+  if (accounts[key]) throw new Error("That name is taken");
+  accounts[key] = { name, salt, hash, createdAt: new Date().toISOString() };
+  await saveAccounts(accounts);
+  return { name };
+}
+
+// { name } when the password matches, null otherwise
+async function verify(name, password) {
+  if (typeof name !== "string" || typeof password !== "string") return null;
+  const accounts = await loadAccounts();
+  const account = accounts[getNameKey(name)];
+  if (!account) return null;
+
+  const expected = Buffer.from(account.hash, "hex");
+  const actual = Buffer.from(await hashPassword(password, account.salt), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+  return { name: account.name };
+}
+
+// { name, createdAt } of an account (name as registered), or null
+async function findAccount(name) {
+  const accounts = await loadAccounts();
+  const account = accounts[getNameKey(name)];
+  return account ? { name: account.name, createdAt: account.createdAt } : null;
+}
+
+async function hasAccount(name) {
+  return Boolean(await findAccount(name));
+}
+
+module.exports = {
+  ACCOUNTS_FILE,
+  checkName,
+  register,
+  verify,
+  findAccount,
+  hasAccount
+};
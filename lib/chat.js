@@ -0,0 +1,59 @@
+// Room chat: what a message may contain and how often it may be sent.
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// At most RATE_LIMIT_COUNT messages per socket in any RATE_LIMIT_MS
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_MS = 10000;
+
+// Messages kept per room, for spectators and players who reconnect
+const HISTORY_LENGTH = 50;
+
+// Matched as whole words, any case; repeated letters ("fuuuck") too
+const BLOCKED_WORDS = [
+  "fuck",
+  "fucker",
+  "fucking",
+  "shit",
+  "bitch",
+  "bastard",
+  "asshole",
+  "dick",
+  "cunt",
+  "whore",
+  "slut",
+  "retard"
+];
+
+const BLOCKED_PATTERN = new RegExp(
+  "\\b(" + BLOCKED_WORDS.map(word => word.split("").map(c => c + "+").join("")).join("|") + ")\\b",
+  "gi"
+);
+
+// The message as it will be shown: one line, trimmed, cut to length, bad
+// words starred out. Empty when there is nothing left to send.
+function cleanMessage(text) {
+  if (typeof text !== "string") return "";
+  return text
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_MESSAGE_LENGTH)
+    .replace(BLOCKED_PATTERN, word => word[0] + "*".repeat(word.length - 1));
+}
+
+// Whether a socket may send now; `sentAt` is the list of its recent send
+// times and is updated in place
+function allowMessage(sentAt, now) {
+  while (sentAt.length && now - sentAt[0] >= RATE_LIMIT_MS) sentAt.shift();
+  if (sentAt.length >= RATE_LIMIT_COUNT) return false;
+  sentAt.push(now);
+  return true;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  HISTORY_LENGTH,
+  cleanMessage,
+  allowMessage
+};
@@ -0,0 +1,98 @@
+// Archive of finished online games, one JSON record per line.
+//
+// A record looks like:
+//   {
+//     id: "3f9c0a1b2d4e5f60",
+//     roomId, timeControl,
+//     players: { X: { id, name, guest }, O: { id, name, guest } },
+//                  name and guest only for players who picked a name
+//     rated: bool,
+//     ratings: { X: { before, after }, O: { before, after } } | null,
+//     actions: [{ player, kind: "place", index, type, at } | { player, kind: "move", from, to, at }],
+//     winner: "X" | "O" | null,
+//     reason: one of END_REASONS,
+//     startedAt, endedAt   ISO timestamps (as is each action's `at`)
+//   }
+
+const fs = require("fs");
+const path = require("path");
+
+const GAMES_FILE =
+  process.env.GAMES_FILE || path.join(__dirname, "..", "data", "games.jsonl");
+
+// Appends are chained so concurrent game endings never interleave
+let writeQueue = Promise.resolve();
+
+function saveGame(record) {
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(GAMES_FILE), { recursive: true });
+      await fs.promises.appendFile(GAMES_FILE, JSON.stringify(record) + "\n");
+    })
+    .catch(err => {
+      console.error(`Could not save game ${record.id}:`, err.message);
+    });
+  return writeQueue;
+}
+
+async function readGames() {
+  let text;
+  try {
+    text = await fs.promises.readFile(GAMES_FILE, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const games = [];
+  text.split("\n").forEach(line => {
+    if (!line.trim()) return;
+    try {
+      games.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash: skip it rather than lose the archive
+    }
+  });
+  return games;
+}
+
+// Everything but the action list, for browsing
+function summarizeGame(record) {
+  const { actions, ...summary } = record;
+  return { ...summary, actionCount: actions.length };
+}
+
+// Newest first
+async function listGames({ limit = 50, offset = 0 } = {}) {
+  const games = await readGames();
+  games.reverse();
+  return {
+    total: games.length,
+    games: games.slice(offset, offset + limit).map(summarizeGame)
+  };
+}
+
+// Games of the registered player `name` (any case), newest first
+async function listPlayerGames(name) {
+  const key = String(name).toLowerCase();
+  const games = await readGames();
+  return games
+    .filter(game =>
+      Object.values(game.players || {}).some(
+        player => player.name && !player.guest && player.name.toLowerCase() === key
+      )
+    )
+    .reverse();
+}
+
+async function getGame(id) {
+  const games = await readGames();
+  return games.find(game => game.id === id) || null;
+}
+
+module.exports = {
+  GAMES_FILE,
+  saveGame,
+  listGames,
+  listPlayerGames,
+  getGame
+};
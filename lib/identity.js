@@ -0,0 +1,99 @@
+// Who a browser is, remembered in a signed cookie:
+//
+//   ctttIdentity=<base64url JSON { name, guest }>.<base64url HMAC-SHA256>
+//
+// Registered players get one after signing in, guests after picking a
+// nickname. The HMAC key comes from IDENTITY_SECRET, or is generated once
+// and kept in data/identity-secret so cookies survive a restart.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const COOKIE_NAME = "ctttIdentity";
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+const SECRET_FILE =
+  process.env.IDENTITY_SECRET_FILE || path.join(__dirname, "..", "data", "identity-secret");
+
+let secret = process.env.IDENTITY_SECRET || null;
+
+function getSecret() {
+  if (secret) return secret;
+  try {
+    secret = fs.readFileSync(SECRET_FILE, "utf8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(path.dirname(SECRET_FILE), { recursive: true });
+    fs.writeFileSync(SECRET_FILE, secret + "\n", { mode: 0o600 });
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", getSecret()).update(payload).digest("base64url");
+}
+
+function encodeIdentity(identity) {
+  const payload = Buffer.from(
+    JSON.stringify({ name: identity.name, guest: Boolean(identity.guest) })
+  ).toString("base64url");
+  return payload + "." + sign(payload);
+}
+
+// { name, guest } from a cookie value, or null if it wasn't signed by us
+function decodeIdentity(value) {
+  if (typeof value !== "string") return null;
+  const [payload, signature] = value.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const { name, guest } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return typeof name === "string" ? { name, guest: Boolean(guest) } : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || "").split(";").forEach(part => {
+    const eq = part.indexOf("=");
+    if (eq === -1) return;
+    const key = part.slice(0, eq).trim();
+    try {
+      cookies[key] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // Not ours to read
+    }
+  });
+  return cookies;
+}
+
+// The identity in a request's Cookie header, or null
+function readIdentity(cookieHeader) {
+  return decodeIdentity(parseCookies(cookieHeader)[COOKIE_NAME]);
+}
+
+// Set-Cookie values that remember `identity`, or forget it when null
+function identityCookie(identity) {
+  if (!identity) {
+    return `${COOKIE_NAME}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`;
+  }
+  return `${COOKIE_NAME}=${encodeIdentity(identity)}; Path=/; ` +
+    `Max-Age=${COOKIE_MAX_AGE_SECONDS}; HttpOnly; SameSite=Lax`;
+}
+
+module.exports = {
+  COOKIE_NAME,
+  readIdentity,
+  identityCookie
+};
@@ -0,0 +1,119 @@
+// Profile and leaderboard entries, worked out from the game archive
+// (gameStore) and the ratings (ratingStore).
+
+const { PLAYER_X, PLAYER_O, createInitialState, applyAction } = require("../rules");
+const { formatAction } = require("../notation");
+
+// Entries shown on a profile
+const RECENT_GAME_COUNT = 20;
+const OPENING_COUNT = 5;
+
+function createRecord() {
+  return { wins: 0, losses: 0, draws: 0 };
+}
+
+// The side `name` played in `game`, or null
+function getSide(game, name) {
+  const key = name.toLowerCase();
+  return [PLAYER_X, PLAYER_O].find(side => {
+    const player = game.players && game.players[side];
+    return player && player.name && !player.guest && player.name.toLowerCase() === key;
+  }) || null;
+}
+
+function getOutcome(game, side) {
+  if (!game.winner) return "draw";
+  return game.winner === side ? "win" : "loss";
+}
+
+// The player's first action in notation, e.g. "R@a1", or null if they
+// never moved
+function getOpening(game, side) {
+  let state = createInitialState();
+  for (const { player, at, ...action } of game.actions || []) {
+    if (player === side) return formatAction(state, action);
+    state = applyAction(state, action);
+  }
+  return null;
+}
+
+function summarizeGame(game, side) {
+  const opponentSide = side === PLAYER_X ? PLAYER_O : PLAYER_X;
+  const opponent = game.players[opponentSide];
+  const ratings = game.ratings && game.ratings[side];
+  return {
+    id: game.id,
+    color: side,
+    opponent: opponent && opponent.name ? opponent.name : null,
+    opponentGuest: Boolean(opponent && opponent.guest),
+    result: getOutcome(game, side),
+    reason: game.reason,
+    rated: Boolean(game.rated),
+    ratingChange: ratings ? ratings.after - ratings.before : null,
+    actionCount: (game.actions || []).length,
+    endedAt: game.endedAt
+  };
+}
+
+// Everything the profile page shows. `games` are the player's games,
+// newest first; `rated` their ratingStore record or null.
+function buildProfile(name, games, rated, defaultRating) {
+  const byColor = { [PLAYER_X]: createRecord(), [PLAYER_O]: createRecord() };
+  const total = createRecord();
+  const openings = new Map();
+  const recentGames = [];
+
+  games.forEach(game => {
+    const side = getSide(game, name);
+    if (!side) return;
+
+    const outcome = getOutcome(game, side);
+    const key = outcome === "win" ? "wins" : outcome === "loss" ? "losses" : "draws";
+    byColor[side][key]++;
+    total[key]++;
+
+    const opening = getOpening(game, side);
+    if (opening) {
+      const id = side + " " + opening;
+      const entry = openings.get(id) || { color: side, opening, count: 0 };
+      entry.count++;
+      openings.set(id, entry);
+    }
+
+    if (recentGames.length < RECENT_GAME_COUNT) {
+      recentGames.push(summarizeGame(game, side));
+    }
+  });
+
+  return {
+    name,
+    rating: rated ? rated.rating : defaultRating,
+    ratedGames: rated ? rated.games : 0,
+    record: { total, byColor },
+    recentGames,
+    openings: [...openings.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, OPENING_COUNT)
+  };
+}
+
+// Leaderboard rows from ratingStore.listPlayers(), ranked from 1
+function buildLeaderboard(players, { limit, offset }) {
+  return {
+    total: players.length,
+    players: players.slice(offset, offset + limit).map((player, i) => ({
+      rank: offset + i + 1,
+      name: player.name,
+      rating: player.rating,
+      games: player.games,
+      wins: player.wins,
+      losses: player.losses,
+      draws: player.draws
+    }))
+  };
+}
+
+module.exports = {
+  buildProfile,
+  buildLeaderboard
+};
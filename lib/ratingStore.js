@@ -0,0 +1,130 @@
+// Elo ratings of registered players, kept in one JSON file:
+//
+//   {
+//     "alice": { name: "Alice", rating: 1532, games, wins, losses, draws, updatedAt },
+//     ...
+//   }
+//
+// Keys are lowercased names, like in accountStore. Only rated games count;
+// players without a record are at DEFAULT_RATING. The file is small, so it
+// is read once at startup and every change is written back in full.
+
+const fs = require("fs");
+const path = require("path");
+const { PLAYER_X, PLAYER_O } = require("../rules");
+
+const RATINGS_FILE =
+  process.env.RATINGS_FILE || path.join(__dirname, "..", "data", "ratings.json");
+
+const DEFAULT_RATING = 1500;
+
+// New players move faster until their rating has settled
+const PROVISIONAL_GAMES = 20;
+const PROVISIONAL_K = 40;
+const K = 20;
+
+const ratings = loadRatings();
+
+// Writes are chained so two results never overwrite each other
+let writeQueue = Promise.resolve();
+
+function loadRatings() {
+  try {
+    return JSON.parse(fs.readFileSync(RATINGS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+function saveRatings() {
+  const text = JSON.stringify(ratings, null, 2) + "\n";
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(RATINGS_FILE), { recursive: true });
+      // Written aside and renamed, so a crash never leaves half a file
+      const partial = RATINGS_FILE + ".partial";
+      await fs.promises.writeFile(partial, text);
+      await fs.promises.rename(partial, RATINGS_FILE);
+    })
+    .catch(err => {
+      console.error("Could not save ratings:", err.message);
+    });
+  return writeQueue;
+}
+
+function getNameKey(name) {
+  return String(name).toLowerCase();
+}
+
+// A player's record, or null before their first rated game
+function getPlayer(name) {
+  return ratings[getNameKey(name)] || null;
+}
+
+function getRating(name) {
+  const player = getPlayer(name);
+  return player ? player.rating : DEFAULT_RATING;
+}
+
+// Every rated player, best first
+function listPlayers() {
+  return Object.values(ratings).sort((a, b) => b.rating - a.rating || b.games - a.games);
+}
+
+// Expected score of a player rated `rating` against `opponentRating`
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+function createPlayer(name) {
+  return { name, rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0, draws: 0 };
+}
+
+// Update both players for a finished rated game. `names` is { X, O },
+// `winner` "X", "O" or null for a draw. Returns { X: { before, after },
+// O: { before, after } }, or null when both names are the same account:
+// a game against yourself is never rated.
+function rateGame(names, winner) {
+  if (getNameKey(names[PLAYER_X]) === getNameKey(names[PLAYER_O])) return null;
+
+  const players = {};
+  [PLAYER_X, PLAYER_O].forEach(side => {
+    const key = getNameKey(names[side]);
+    players[side] = ratings[key] || createPlayer(names[side]);
+    ratings[key] = players[side];
+  });
+
+  const changes = {};
+  const now = new Date().toISOString();
+  [PLAYER_X, PLAYER_O].forEach(side => {
+    const player = players[side];
+    const opponent = players[side === PLAYER_X ? PLAYER_O : PLAYER_X];
+    const score = winner === side ? 1 : winner ? 0 : 0.5;
+    const k = player.games < PROVISIONAL_GAMES ? PROVISIONAL_K : K;
+    const after = Math.round(player.rating + k * (score - expectedScore(player.rating, opponent.rating)));
+    changes[side] = { before: player.rating, after };
+  });
+
+  [PLAYER_X, PLAYER_O].forEach(side => {
+    const player = players[side];
+    player.rating = changes[side].after;
+    player.games++;
+    if (!winner) player.draws++;
+    else if (winner === side) player.wins++;
+    else player.losses++;
+    player.updatedAt = now;
+  });
+
+  saveRatings();
+  return changes;
+}
+
+module.exports = {
+  RATINGS_FILE,
+  DEFAULT_RATING,
+  getPlayer,
+  getRating,
+  listPlayers,
+  rateGame
+};
@@ -0,0 +1,178 @@
+// What clients may send over the socket, and what they get back when it
+// can't be done.
+//
+// Every incoming event is checked against EVENT_SCHEMAS before its handler
+// runs. Unknown events and payloads of the wrong shape are malformed: the
+// official client never sends them, so the connection is dropped. Events
+// that are well formed but not possible right now (not your turn, no draw
+// offered, ...) are answered with an "error" event carrying one of ERRORS:
+//
+//   { code: "not_your_turn", message: "Not your turn" }
+//
+// `code` is stable for clients to act on, `message` is for showing.
+
+const { PIECE_TYPES, isBoardIndex } = require("../rules");
+
+// Longest string accepted in any payload; chat messages are cut shorter
+// later, this only keeps out junk
+const MAX_STRING_LENGTH = 1000;
+
+// At most EVENT_RATE_LIMIT_COUNT events per socket in any EVENT_RATE_LIMIT_MS
+const EVENT_RATE_LIMIT_COUNT = 20;
+const EVENT_RATE_LIMIT_MS = 1000;
+
+const ERRORS = {
+  MALFORMED_EVENT: { code: "malformed_event", message: "Malformed request" },
+  RATE_LIMITED: { code: "rate_limited", message: "Slow down: too many requests" },
+  NOT_IN_ROOM: { code: "not_in_room", message: "Not in a room" },
+  ROOM_NOT_FOUND: { code: "room_not_found", message: "Room not found" },
+  ALREADY_IN_ROOM: { code: "already_in_room", message: "Already playing in another room" },
+  RATED_NEEDS_ACCOUNT: {
+    code: "rated_needs_account",
+    message: "Sign in to a registered account to play rated games"
+  },
+  SPECTATORS_CANNOT_MOVE: { code: "spectators_cannot_move", message: "Spectators cannot move" },
+  NOT_IN_GAME: { code: "not_in_game", message: "Not in a game" },
+  GAME_OVER: { code: "game_over", message: "Game is over" },
+  GAME_NOT_OVER: { code: "game_not_over", message: "Game is not over" },
+  OPPONENT_LEFT: { code: "opponent_left", message: "Opponent has left" },
+  NO_REMATCH_OFFERED: { code: "no_rematch_offered", message: "No rematch offered" },
+  NOTHING_TO_TAKE_BACK: { code: "nothing_to_take_back", message: "Nothing to take back" },
+  NO_TAKEBACK_REQUESTED: { code: "no_takeback_requested", message: "No takeback requested" },
+  NO_DRAW_OFFERED: { code: "no_draw_offered", message: "No draw offered" },
+  CHAT_TOO_FAST: { code: "chat_too_fast", message: "You're sending messages too fast" },
+  NOT_YOUR_TURN: { code: "not_your_turn", message: "Not your turn" },
+  CELL_NOT_EMPTY: { code: "cell_not_empty", message: "Cell is not empty" },
+  PIECE_NOT_AVAILABLE: { code: "piece_not_available", message: "Piece not available" },
+  CANNOT_MOVE_YET: { code: "cannot_move_yet", message: "Cannot move yet" },
+  CANNOT_CAPTURE_OWN: { code: "cannot_capture_own", message: "Cannot capture own piece" },
+  ILLEGAL_MOVE: { code: "illegal_move", message: "Illegal move" },
+  INVALID_MOVE: { code: "invalid_move", message: "Invalid move" }
+};
+
+// The reasons rules.validateAction gives, by their message
+const RULE_ERRORS = new Map(
+  [
+    ERRORS.GAME_OVER,
+    ERRORS.NOT_YOUR_TURN,
+    ERRORS.CELL_NOT_EMPTY,
+    ERRORS.PIECE_NOT_AVAILABLE,
+    ERRORS.CANNOT_MOVE_YET,
+    ERRORS.CANNOT_CAPTURE_OWN,
+    ERRORS.ILLEGAL_MOVE,
+    ERRORS.INVALID_MOVE
+  ].map(error => [error.message, error])
+);
+
+// The error to send for a reason from rules.validateAction
+function getRuleError(reason) {
+  return RULE_ERRORS.get(reason) || ERRORS.INVALID_MOVE;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isString(value) {
+  return typeof value === "string" && value.length <= MAX_STRING_LENGTH;
+}
+
+function isBoolean(value) {
+  return typeof value === "boolean";
+}
+
+function optional(check) {
+  return value => value === undefined || check(value);
+}
+
+// A check for a payload object with exactly these fields (each field's
+// check decides whether it may be missing). `optional` lets the whole
+// payload be left out.
+function payload(fields, { optional: mayBeMissing = false } = {}) {
+  return data => {
+    if (data === undefined && mayBeMissing) return null;
+    if (!isPlainObject(data)) return "payload is not an object";
+    const unknown = Object.keys(data).find(key => !hasOwn(fields, key));
+    if (unknown) return `unknown field "${unknown}"`;
+    const bad = Object.keys(fields).find(key => !fields[key](data[key]));
+    return bad ? `bad field "${bad}"` : null;
+  };
+}
+
+function noPayload(data) {
+  return data === undefined ? null : "unexpected payload";
+}
+
+// { action: "place", index, type } or { action: "move", fromIndex, toIndex }
+function checkMove(data) {
+  if (!isPlainObject(data)) return "payload is not an object";
+  if (data.action === "place") {
+    const problem = payload({ action: isString, index: isBoardIndex, type: isString })(data);
+    if (problem) return problem;
+    if (PIECE_TYPES.indexOf(data.type) === -1) return "unknown piece type";
+    return null;
+  }
+  if (data.action === "move") {
+    const problem = payload({ action: isString, fromIndex: isBoardIndex, toIndex: isBoardIndex })(data);
+    if (problem) return problem;
+    if (data.fromIndex === data.toIndex) return "move to the same cell";
+    return null;
+  }
+  return "unknown action";
+}
+
+// What each event's payload must look like: a function returning why it
+// doesn't, or null
+const EVENT_SCHEMAS = {
+  findOrCreateRoom: payload(
+    { timeControl: optional(isString), rated: optional(isBoolean) },
+    { optional: true }
+  ),
+  createRoom: payload({ timeControl: optional(isString) }, { optional: true }),
+  joinRoom: payload({ roomId: isString }),
+  watchRoom: payload({ roomId: isString }),
+  listRooms: noPayload,
+  resumeSession: payload({ sessionToken: isString }),
+  makeMove: checkMove,
+  offerRematch: noPayload,
+  acceptRematch: noPayload,
+  declineRematch: noPayload,
+  requestTakeback: noPayload,
+  acceptTakeback: noPayload,
+  declineTakeback: noPayload,
+  resign: noPayload,
+  offerDraw: noPayload,
+  acceptDraw: noPayload,
+  declineDraw: noPayload,
+  chatMessage: payload({ text: isString })
+};
+
+// Why an incoming event is malformed, or null when it may be handled
+function checkEvent(event, args) {
+  if (!hasOwn(EVENT_SCHEMAS, event)) {
+    return `unknown event "${event}"`;
+  }
+  if (args.length > 1) return `too many arguments to "${event}"`;
+  const problem = EVENT_SCHEMAS[event](args[0]);
+  return problem ? `${event}: ${problem}` : null;
+}
+
+// Whether a socket may send another event now; `sentAt` is the list of its
+// recent event times and is updated in place
+function allowEvent(sentAt, now) {
+  while (sentAt.length && now - sentAt[0] >= EVENT_RATE_LIMIT_MS) sentAt.shift();
+  if (sentAt.length >= EVENT_RATE_LIMIT_COUNT) return false;
+  sentAt.push(now);
+  return true;
+}
+
+module.exports = {
+  ERRORS,
+  getRuleError,
+  checkEvent,
+  allowEvent
+};
@@ -0,0 +1,327 @@
+// Solves a variant of the game (rules.js createRules) into a tablebase
+// (format in tablebase.js) by retrograde analysis. Used by
+// scripts/build-tablebase.js for the real game, and by the tests on small
+// variants that solve in seconds.
+//
+// The first pass visits every position once. Positions where somebody
+// already has a line are decided (lost in 0 for the side to move, or none);
+// every other one gets a counter: its number of legal actions. From then on
+// the work goes backwards, one distance at a time. For each position
+// decided in d plies, its predecessors are generated by taking back the
+// action that led to it (un-placing a piece, or moving one back and
+// restoring what it captured):
+//
+//   lost in d  -> every undecided predecessor is won in d + 1
+//   won in d   -> every undecided predecessor loses one counter; at zero,
+//                 all of its actions lead to a win for the opponent, so it
+//                 is lost in d + 1
+//
+// Distances are handled in order, so each is exact. Once a distance turns
+// up no positions, whatever is still undecided is a draw.
+//
+// The table holds one position of each symmetry group (see tablebase.js),
+// so a predecessor counts under its group's index. Taking back the actions
+// into a decided position finds each action into its group once, except
+// from the empty board, which is its own mirror image: see countPositions().
+//
+// The whole table, one byte a position, is held in memory while solving.
+
+const { CODES, decodeValue, createTablebase } = require("../tablebase");
+
+// Typed arrays can't hold a big table in one piece, so it is split up
+const CHUNK_SIZE = 2 ** 30;
+
+// Progress is reported this often during the first pass
+const REPORT_EVERY = 2 ** 26;
+
+// While solving, a byte is an undecided position's counter, a decided
+// position's distance shifted past the counters, or NONE. No position has
+// more than 64 legal actions (16 empty squares times 4 pieces in the pool).
+const MAX_COUNTER = 64;
+const DECIDED_BASE = MAX_COUNTER + 1;
+const NONE = 255;
+const MAX_BUILD_PLIES = NONE - 1 - DECIDED_BASE;
+
+// Bytes handed to `write` at a time when serializing
+const WRITE_SIZE = 2 ** 20;
+
+function createTable(count) {
+  const chunks = [];
+  for (let start = 0; start < count; start += CHUNK_SIZE) {
+    chunks.push(new Uint8Array(Math.min(CHUNK_SIZE, count - start)));
+  }
+  return {
+    count,
+    chunks,
+    get: index => chunks[Math.floor(index / CHUNK_SIZE)][index % CHUNK_SIZE],
+    set(index, value) {
+      chunks[Math.floor(index / CHUNK_SIZE)][index % CHUNK_SIZE] = value;
+    }
+  };
+}
+
+function isUndecided(byte) {
+  return byte <= MAX_COUNTER;
+}
+
+function decidedIn(plies) {
+  if (plies > MAX_BUILD_PLIES) throw new Error(`Distance ${plies} doesn't fit the table`);
+  return DECIDED_BASE + plies;
+}
+
+// getAllActions(...).length, without building the actions
+function countActions(rules, position) {
+  const { BOARD_CELLS, canMovePieces, isLegalMove } = rules;
+  const { board, pools, currentPlayer: player } = position;
+  let empty = 0;
+  for (let i = 0; i < BOARD_CELLS; i++) {
+    if (board[i] === null) empty++;
+  }
+  let count = empty * pools[player].length;
+  if (!canMovePieces(board)) return count;
+  for (let i = 0; i < BOARD_CELLS; i++) {
+    const cell = board[i];
+    if (!cell || cell.player !== player) continue;
+    for (let j = 0; j < BOARD_CELLS; j++) {
+      const target = board[j];
+      if (target && target.player === player) continue;
+      if (isLegalMove(board, i, j, cell)) count++;
+    }
+  }
+  return count;
+}
+
+// Pass 0: finished positions are decided (the side to move has lost if the
+// opponent has a line, and can't be to move if it has one itself); the
+// others get their counters
+function countPositions(rules, tablebase, table, log) {
+  const { PLAYER_O } = rules;
+  const { POSITION_COUNT, decodePosition, getLineOwners } = tablebase;
+  let finished = 0;
+  for (let index = 0; index < POSITION_COUNT; index++) {
+    if (index % REPORT_EVERY === 0 && index > 0) {
+      log(`  counting: ${((index / POSITION_COUNT) * 100).toFixed(1)}%`);
+    }
+    const position = decodePosition(index);
+    const owners = getLineOwners(position.board);
+    if (owners.length === 0) {
+      const count = countActions(rules, position);
+      if (count > MAX_COUNTER) throw new Error(`${count} actions don't fit a counter`);
+      // The empty board's actions reach each position with one piece down
+      // twice, once on each side of the board, and those positions each
+      // take back to it once
+      const empty = position.board.every(cell => cell === null);
+      table.set(index, empty ? count / 2 : count);
+      continue;
+    }
+    // decodePosition() always has White to move
+    const lost = owners.length === 1 && owners[0] === PLAYER_O;
+    table.set(index, lost ? decidedIn(0) : NONE);
+    finished++;
+  }
+  return finished;
+}
+
+// `visit(index)` for every position with an action that leads to
+// `position`: the action taken back is a placement (the piece returns to
+// the pool) or a move from an empty square, capturing nothing or any piece
+// now in the victim's pool. Positions that were already over are visited
+// too; they are decided from the first pass, so the caller skips them.
+// Positions the table leaves out are not visited.
+function forEachPredecessor(rules, tablebase, position, visit) {
+  const {
+    BOARD_SIZE,
+    BOARD_CELLS,
+    PIECES_TO_MOVE,
+    otherPlayer,
+    indexToRowCol,
+    rowColToIndex,
+    countPiecesOnBoard,
+    isLegalMove,
+    initialPawnDir
+  } = rules;
+  const { board, pools } = position;
+  const mover = otherPlayer(position.currentPlayer);
+  const victim = position.currentPlayer;
+  const moverCount = countPiecesOnBoard(board, mover);
+  const victimCount = countPiecesOnBoard(board, victim);
+
+  const captures = [];
+  pools[victim].forEach(type => {
+    if (type === "P") captures.push({ player: victim, type, dir: 1 }, { player: victim, type, dir: -1 });
+    else captures.push({ player: victim, type });
+  });
+
+  function visitBoard(before) {
+    const index = tablebase.positionIndex({ board: before, currentPlayer: mover });
+    if (index !== -1) visit(index);
+  }
+
+  function visitMove(from, to, moved, captured) {
+    // Moving needs PIECES_TO_MOVE down each, counting a captured one
+    if (moverCount < PIECES_TO_MOVE || victimCount + (captured ? 1 : 0) < PIECES_TO_MOVE) return;
+    const before = board.slice();
+    before[from] = moved;
+    before[to] = captured;
+    visitBoard(before);
+  }
+
+  for (let to = 0; to < BOARD_CELLS; to++) {
+    const piece = board[to];
+    if (!piece || piece.player !== mover) continue;
+    const { row, col } = indexToRowCol(to);
+
+    if (piece.type !== "P" || piece.dir === initialPawnDir(mover, to)) {
+      const unplaced = board.slice();
+      unplaced[to] = null;
+      visitBoard(unplaced);
+    }
+
+    if (piece.type === "P") {
+      // It faced the other way before turning around on an edge row, and
+      // came from the row behind: straight on to an empty square, or
+      // diagonally to capture
+      const dir = row === 0 || row === BOARD_SIZE - 1 ? -piece.dir : piece.dir;
+      const moved = { ...piece, dir };
+      const fromRow = row + dir;
+      if (fromRow < 0 || fromRow >= BOARD_SIZE) continue;
+      for (let fromCol = col - 1; fromCol <= col + 1; fromCol++) {
+        if (fromCol < 0 || fromCol >= BOARD_SIZE) continue;
+        const from = rowColToIndex(fromRow, fromCol);
+        if (board[from] !== null) continue;
+        if (fromCol === col) visitMove(from, to, moved, null);
+        else captures.forEach(captured => visitMove(from, to, moved, captured));
+      }
+      continue;
+    }
+
+    for (let from = 0; from < BOARD_CELLS; from++) {
+      // The squares in between are the same before and after the move
+      if (board[from] !== null || !isLegalMove(board, from, to, piece)) continue;
+      visitMove(from, to, piece, null);
+      captures.forEach(captured => visitMove(from, to, piece, captured));
+    }
+  }
+}
+
+// Decide the predecessors of every position decided in `plies`; returns
+// how many were decided in plies + 1
+function expandLevel(rules, tablebase, table, plies) {
+  const target = decidedIn(plies);
+  const next = decidedIn(plies + 1);
+  const lost = plies % 2 === 0;
+  let found = 0;
+
+  table.chunks.forEach((chunk, c) => {
+    for (let i = 0; i < chunk.length; i++) {
+      if (chunk[i] !== target) continue;
+      const position = tablebase.decodePosition(c * CHUNK_SIZE + i);
+      forEachPredecessor(rules, tablebase, position, previous => {
+        const byte = table.get(previous);
+        if (!isUndecided(byte)) return;
+        if (lost || byte === 1) {
+          table.set(previous, next);
+          found++;
+        } else {
+          table.set(previous, byte - 1);
+        }
+      });
+    }
+  });
+  return found;
+}
+
+// Solves the variant `rules`; `log(message)` hears about the progress.
+// Returns the table of solving bytes, for getValue() and writeTable().
+function solveTable(rules, log = () => {}) {
+  const tablebase = createTablebase(rules);
+  const table = createTable(tablebase.POSITION_COUNT);
+
+  log(`Pass 0: ${countPositions(rules, tablebase, table, log)} finished positions`);
+  for (let plies = 0; ; plies++) {
+    const found = expandLevel(rules, tablebase, table, plies);
+    log(`Distance ${plies + 1}: ${found} positions ${plies % 2 ? "lost" : "won"}`);
+    if (found === 0) break;
+  }
+  return table;
+}
+
+// The file code of a solving byte and, when won or lost, its distance
+function getCode(byte) {
+  if (byte === NONE) return CODES.NONE;
+  if (isUndecided(byte)) return CODES.DRAW;
+  return (byte - DECIDED_BASE) % 2 ? CODES.WIN : CODES.LOSS;
+}
+
+// decodeValue() of `index` in a solved table
+function getValue(table, index) {
+  const byte = table.get(index);
+  return decodeValue(getCode(byte), byte - DECIDED_BASE);
+}
+
+// Hands the table file, a piece at a time, to `write(bytes)`. Returns the
+// number of won and lost positions.
+function writeTable(rules, table, write) {
+  const tablebase = createTablebase(rules);
+  const { BLOCK_SIZE, encodeBlock } = tablebase;
+  const isDecided = byte => !isUndecided(byte) && byte !== NONE;
+
+  let decided = 0;
+  table.chunks.forEach(chunk => {
+    for (let i = 0; i < chunk.length; i++) {
+      if (isDecided(chunk[i])) decided++;
+    }
+  });
+  write(tablebase.createHeader(decided));
+
+  let pending = [];
+  let pendingBytes = 0;
+  function push(bytes) {
+    pending.push(bytes);
+    pendingBytes += bytes.length;
+    if (pendingBytes >= WRITE_SIZE) flush();
+  }
+  function flush() {
+    if (pendingBytes) write(Buffer.concat(pending));
+    pending = [];
+    pendingBytes = 0;
+  }
+
+  let decidedBefore = 0;
+  const codes = new Uint8Array(BLOCK_SIZE);
+  for (let start = 0; start < table.count; start += BLOCK_SIZE) {
+    const end = Math.min(start + BLOCK_SIZE, table.count);
+    const blockCodes = codes.subarray(0, end - start);
+    for (let index = start; index < end; index++) {
+      blockCodes[index - start] = getCode(table.get(index));
+    }
+    push(encodeBlock(blockCodes, decidedBefore));
+    blockCodes.forEach(code => {
+      if (code === CODES.WIN || code === CODES.LOSS) decidedBefore++;
+    });
+  }
+
+  let distances = Buffer.alloc(WRITE_SIZE);
+  let filled = 0;
+  table.chunks.forEach(chunk => {
+    for (let i = 0; i < chunk.length; i++) {
+      if (!isDecided(chunk[i])) continue;
+      distances[filled++] = chunk[i] - DECIDED_BASE;
+      if (filled === WRITE_SIZE) {
+        push(distances);
+        distances = Buffer.alloc(WRITE_SIZE);
+        filled = 0;
+      }
+    }
+  });
+  push(distances.subarray(0, filled));
+  flush();
+  return decided;
+}
+
+module.exports = {
+  solveTable,
+  getValue,
+  writeTable,
+  forEachPredecessor
+};
@@ -0,0 +1,88 @@
+// Read access to the perfect-play table built by scripts/build-tablebase.js
+// (format in tablebase.js). The file is too big to load, so every lookup
+// reads the blocks and distances it needs straight from disk.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  HEADER_SIZE,
+  BLOCK_BYTES,
+  CODES,
+  decodeValue,
+  readHeader,
+  getBlockOffset,
+  readBlockEntry,
+  getProbeIndices,
+  analyzePosition
+} = require("../tablebase");
+
+const TABLEBASE_FILE =
+  process.env.TABLEBASE_FILE || path.join(__dirname, "..", "data", "tablebase.bin");
+
+// Resolves to { read, header } for the open file, or null while there is
+// no usable table
+let opening = null;
+
+function openTable() {
+  if (!opening) {
+    opening = (async () => {
+      const handle = await fs.promises.open(TABLEBASE_FILE, "r");
+      try {
+        const read = async (offset, length) => {
+          const bytes = Buffer.alloc(length);
+          await handle.read(bytes, 0, length, offset);
+          return bytes;
+        };
+        return { read, header: readHeader(await read(0, HEADER_SIZE)) };
+      } catch (err) {
+        await handle.close();
+        throw err;
+      }
+    })().catch(err => {
+      if (err.code !== "ENOENT") {
+        console.error("Could not open tablebase:", err.message);
+      }
+      // Try again on the next lookup, e.g. once a build has finished
+      opening = null;
+      return null;
+    });
+  }
+  return opening;
+}
+
+// decodeValue() of each of `indices` (-1 for positions left out of the
+// table), as a Map. `read(offset, length)` resolves to those bytes of a
+// table file with this `header`.
+async function readValues(read, header, indices) {
+  const values = new Map();
+  await Promise.all(
+    [...new Set(indices)].map(async index => {
+      if (index === -1) {
+        values.set(index, null);
+        return;
+      }
+      const block = await read(getBlockOffset(index), BLOCK_BYTES);
+      const { code, rank } = readBlockEntry(block, index);
+      let plies = null;
+      if (code === CODES.WIN || code === CODES.LOSS) {
+        plies = (await read(header.distancesOffset + rank, 1))[0];
+      }
+      values.set(index, decodeValue(code, plies));
+    })
+  );
+  return values;
+}
+
+// analyzePosition() for `position`, or null when there is no table
+async function analyze(position) {
+  const table = await openTable();
+  if (!table) return null;
+  const values = await readValues(table.read, table.header, getProbeIndices(position));
+  return analyzePosition(position, index => values.get(index));
+}
+
+module.exports = {
+  TABLEBASE_FILE,
+  readValues,
+  analyze
+};
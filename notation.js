@@ -0,0 +1,406 @@
+// Text notation for Chess Tic‑Tac‑Toe, shared by server.js and the browser.
+//
+// Squares are named like chess: files a–d left to right, ranks 1–4 from
+// White's side (board row 3 is rank 1, row 0 is rank 4).
+//
+// Actions:
+//   N@b3      place a knight from your pool on b3
+//   Rb3-b1    move the rook from b3 to b1
+//   Rb3xb1    same, capturing whatever stands on b1
+//   Pc3-c4~   "~" marks a pawn that turns around on the edge
+//   ...#      "#" marks the action that makes four in a row
+//
+// A game file is a PGN-like list of [Tag "value"] headers followed by the
+// numbered actions and the result:
+//
+//   [Event "Chess Tic-Tac-Toe"]
+//   [Result "1-0"]
+//
+//   1. R@a1 N@b2 2. B@c1 R@d4 ... 1-0
+//
+// A position fits on one line, FEN style: the ranks from 4 down to 1
+// separated by "/", then both pools, then the side to move:
+//
+//   1n2/4/P'3/R3 NB-prb w
+//
+// Uppercase is White (X), lowercase Black (O), digits count empty cells.
+// A pawn walks towards the opponent's side unless followed by "'", which
+// marks a pawn that has turned around. The pools field lists White's
+// spare pieces, "-", then Black's.
+//
+// A game that doesn't start from the empty board carries its starting
+// position in a [Position "..."] tag.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rules"));
+  } else {
+    root.ChessTTTNotation = factory(root.ChessTTTRules);
+  }
+})(typeof self !== "undefined" ? self : this, function (rules) {
+  const {
+    PLAYER_X,
+    PLAYER_O,
+    BOARD_SIZE,
+    BOARD_CELLS,
+    PIECE_TYPES,
+    END_REASONS,
+    indexToRowCol,
+    rowColToIndex,
+    positionKey,
+    createInitialState,
+    checkWinner,
+    isBoardFull,
+    validateAction,
+    applyAction
+  } = rules;
+
+  const FILES = "abcd";
+
+  const RESULTS = {
+    WHITE_WINS: "1-0",
+    BLACK_WINS: "0-1",
+    DRAW: "1/2-1/2",
+    UNFINISHED: "*"
+  };
+
+  // Tags written first, in this order; any others follow alphabetically
+  const TAG_ORDER = [
+    "Event", "Date", "White", "Black", "TimeControl", "Result", "Termination", "Position"
+  ];
+
+  /****************************************************
+   * Squares
+   ****************************************************/
+
+  function squareName(index) {
+    const { row, col } = indexToRowCol(index);
+    return FILES[col] + (BOARD_SIZE - row);
+  }
+
+  // Board index for a square name like "b3", or -1
+  function parseSquare(name) {
+    if (typeof name !== "string" || name.length !== 2) return -1;
+    const col = FILES.indexOf(name[0]);
+    const rank = parseInt(name[1], 10);
+    if (col === -1 || !(rank >= 1 && rank <= BOARD_SIZE)) return -1;
+    return rowColToIndex(BOARD_SIZE - rank, col);
+  }
+
+  /****************************************************
+   * Positions
+   ****************************************************/
+
+  // Direction a pawn of `player` walks before it turns around
+  function forwardDir(player) {
+    return player === PLAYER_X ? 1 : -1;
+  }
+
+  function formatPosition(state) {
+    const ranks = [];
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      let rank = "";
+      let empty = 0;
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const cell = state.board[rowColToIndex(row, col)];
+        if (!cell) {
+          empty++;
+          continue;
+        }
+        if (empty) rank += empty;
+        empty = 0;
+        rank += cell.player === PLAYER_X ? cell.type : cell.type.toLowerCase();
+        if (cell.type === "P" && cell.dir !== forwardDir(cell.player)) rank += "'";
+      }
+      if (empty) rank += empty;
+      ranks.push(rank);
+    }
+
+    const pool = player => state.pools[player].join("");
+    const pools = pool(PLAYER_X) + "-" + pool(PLAYER_O).toLowerCase();
+    const side = state.currentPlayer === PLAYER_X ? "w" : "b";
+    return ranks.join("/") + " " + pools + " " + side;
+  }
+
+  // Game state for a position string, ready to play on from.
+  // options are passed to createInitialState. Throws on malformed input.
+  function parsePosition(text, options = {}) {
+    const fail = why => {
+      throw new Error("Invalid position: " + why);
+    };
+    const fields = String(text).trim().split(/\s+/);
+    if (fields.length !== 3) fail("expected board, pools and side to move");
+    const [boardField, poolsField, sideField] = fields;
+
+    const ranks = boardField.split("/");
+    if (ranks.length !== BOARD_SIZE) fail(`expected ${BOARD_SIZE} ranks`);
+
+    const board = Array(BOARD_CELLS).fill(null);
+    ranks.forEach((rank, row) => {
+      let col = 0;
+      for (let i = 0; i < rank.length; i++) {
+        const ch = rank[i];
+        if (/[1-4]/.test(ch)) {
+          col += parseInt(ch, 10);
+          continue;
+        }
+        const type = ch.toUpperCase();
+        if (PIECE_TYPES.indexOf(type) === -1 || col >= BOARD_SIZE) {
+          fail(`bad rank "${rank}"`);
+        }
+        const player = ch === type ? PLAYER_X : PLAYER_O;
+        const cell = { player, type };
+        if (type === "P") {
+          const turned = rank[i + 1] === "'";
+          if (turned) i++;
+          cell.dir = turned ? -forwardDir(player) : forwardDir(player);
+        }
+        board[rowColToIndex(row, col)] = cell;
+        col++;
+      }
+      if (col !== BOARD_SIZE) fail(`rank "${rank}" doesn't have ${BOARD_SIZE} cells`);
+    });
+
+    const poolMatch = /^([PRNB]*)-([prnb]*)$/.exec(poolsField);
+    if (!poolMatch) fail(`bad pools "${poolsField}"`);
+    const pools = {
+      [PLAYER_X]: poolMatch[1].split("").filter(Boolean),
+      [PLAYER_O]: poolMatch[2].toUpperCase().split("").filter(Boolean)
+    };
+
+    if (sideField !== "w" && sideField !== "b") fail(`side to move must be "w" or "b"`);
+
+    // Every piece is either on the board or in its owner's pool, exactly once
+    [PLAYER_X, PLAYER_O].forEach(player => {
+      const owned = board
+        .filter(cell => cell && cell.player === player)
+        .map(cell => cell.type)
+        .concat(pools[player])
+        .sort();
+      if (owned.join("") !== PIECE_TYPES.slice().sort().join("")) {
+        fail(`${player === PLAYER_X ? "White" : "Black"} must have one of each piece`);
+      }
+    });
+
+    const state = createInitialState(options);
+    state.board = board;
+    state.pools = pools;
+    state.currentPlayer = sideField === "w" ? PLAYER_X : PLAYER_O;
+    state.drawCounters.positionCounts = { [positionKey(state)]: 1 };
+
+    const winner = checkWinner(board);
+    if (winner) {
+      state.gameOver = true;
+      state.winner = winner;
+      state.reason = END_REASONS.FOUR_IN_A_ROW;
+    } else if (isBoardFull(board)) {
+      state.gameOver = true;
+      state.reason = END_REASONS.BOARD_FULL;
+    }
+    return state;
+  }
+
+  function isStartingPosition(state) {
+    return formatPosition(state) === formatPosition(createInitialState());
+  }
+
+  /****************************************************
+   * Single actions
+   ****************************************************/
+
+  // Notation for `action` played in `state` (before it is applied)
+  function formatAction(state, action) {
+    const next = applyAction(state, action);
+    let text;
+
+    if (action.kind === "place") {
+      text = action.type + "@" + squareName(action.index);
+    } else {
+      const piece = state.board[action.from];
+      const capture = state.board[action.to] !== null;
+      text =
+        piece.type + squareName(action.from) + (capture ? "x" : "-") + squareName(action.to);
+      if (piece.type === "P" && next.board[action.to].dir !== piece.dir) {
+        text += "~";
+      }
+    }
+
+    if (next.reason === END_REASONS.FOUR_IN_A_ROW) text += "#";
+    return text;
+  }
+
+  // Action for `text` in `state`, or null if it doesn't describe a legal one
+  function parseAction(state, text) {
+    const clean = String(text).trim().replace(/[~#!?]+$/, "");
+    let action = null;
+
+    let match = /^([PRNB])@([a-d][1-4])$/.exec(clean);
+    if (match) {
+      action = { kind: "place", index: parseSquare(match[2]), type: match[1] };
+    }
+
+    match = !action && /^([PRNB])([a-d][1-4])([-x])([a-d][1-4])$/.exec(clean);
+    if (match) {
+      const from = parseSquare(match[2]);
+      const to = parseSquare(match[4]);
+      const piece = state.board[from];
+      // The piece letter and capture mark must agree with the board
+      if (!piece || piece.type !== match[1]) return null;
+      if ((match[3] === "x") !== (state.board[to] !== null)) return null;
+      action = { kind: "move", from, to };
+    }
+
+    if (!action || validateAction(state, state.currentPlayer, action)) return null;
+    return action;
+  }
+
+  /****************************************************
+   * Game files
+   ****************************************************/
+
+  function getResultTag(state) {
+    if (!state.gameOver) return RESULTS.UNFINISHED;
+    if (state.winner === PLAYER_X) return RESULTS.WHITE_WINS;
+    if (state.winner === PLAYER_O) return RESULTS.BLACK_WINS;
+    return RESULTS.DRAW;
+  }
+
+  function formatTags(tags) {
+    const keys = Object.keys(tags).filter(key => tags[key] !== undefined && tags[key] !== null);
+    keys.sort((a, b) => {
+      const ia = TAG_ORDER.indexOf(a);
+      const ib = TAG_ORDER.indexOf(b);
+      if (ia !== -1 || ib !== -1) {
+        return (ia === -1 ? TAG_ORDER.length : ia) - (ib === -1 ? TAG_ORDER.length : ib);
+      }
+      return a < b ? -1 : 1;
+    });
+    return keys.map(key => `[${key} "${String(tags[key]).replace(/["\\]/g, "\\$&")}"]`);
+  }
+
+  // Wrap movetext tokens at roughly 80 columns like PGN
+  function wrapTokens(tokens) {
+    const lines = [];
+    let line = "";
+    tokens.forEach(token => {
+      if (line && line.length + 1 + token.length > 80) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? line + " " + token : token;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // Game file for `actions` played from the empty board, or from
+  // tags.Position when given. The result comes from the final position, or
+  // from tags.Result / tags.Termination when the game ended off the board
+  // (time, disconnect). Throws if an action is illegal.
+  function formatGame(actions, tags = {}) {
+    let state = tags.Position ? parsePosition(tags.Position) : createInitialState();
+    const tokens = [];
+    let moveNumber = 1;
+
+    actions.forEach((action, i) => {
+      if (validateAction(state, state.currentPlayer, action)) {
+        throw new Error(`Illegal action at ply ${i + 1}`);
+      }
+      if (state.currentPlayer === PLAYER_X) {
+        tokens.push(moveNumber + ".");
+      } else {
+        if (i === 0) tokens.push(moveNumber + "...");
+        moveNumber++;
+      }
+      tokens.push(formatAction(state, action));
+      state = applyAction(state, action);
+    });
+
+    const allTags = { Event: "Chess Tic-Tac-Toe", ...tags };
+    if (state.gameOver) {
+      allTags.Result = getResultTag(state);
+      allTags.Termination = state.reason;
+    } else if (!allTags.Result) {
+      allTags.Result = RESULTS.UNFINISHED;
+    }
+    tokens.push(allTags.Result);
+
+    return formatTags(allTags).join("\n") + "\n\n" + wrapTokens(tokens).join("\n") + "\n";
+  }
+
+  function parseTags(text) {
+    const tags = {};
+    const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+    text.split(/\r?\n/).forEach(line => {
+      const match = tagPattern.exec(line);
+      if (match) tags[match[1]] = match[2].replace(/\\(.)/g, "$1");
+    });
+    return tags;
+  }
+
+  // A decided Result tag whose game didn't end on the board (e.g. on time)
+  function applyResultTags(state, tags) {
+    if (state.gameOver || !tags.Result || tags.Result === RESULTS.UNFINISHED) return state;
+    const winner =
+      tags.Result === RESULTS.WHITE_WINS ? PLAYER_X
+        : tags.Result === RESULTS.BLACK_WINS ? PLAYER_O
+        : null;
+    const knownReason = Object.values(END_REASONS).indexOf(tags.Termination) !== -1;
+    return {
+      ...state,
+      gameOver: true,
+      winner,
+      reason: knownReason ? tags.Termination : null
+    };
+  }
+
+  // Reads a game file. Returns { tags, actions, states } where states[0] is
+  // the starting position and states[i] follows actions[i - 1].
+  // Throws an Error naming the first token that can't be played.
+  function parseGame(text) {
+    const tags = parseTags(text);
+    const movetext = String(text)
+      .split(/\r?\n/)
+      .filter(line => !/^\s*\[/.test(line))
+      .map(line => line.replace(/;.*$/, "")) // rest-of-line comments
+      .join(" ")
+      .replace(/\{[^}]*\}/g, " "); // {braced} comments
+
+    const results = Object.values(RESULTS);
+    const tokens = movetext
+      .split(/\s+/)
+      .map(token => token.replace(/^\d+\.(\.\.)?/, ""))
+      .filter(token => token && results.indexOf(token) === -1);
+
+    let state = tags.Position ? parsePosition(tags.Position) : createInitialState();
+    const actions = [];
+    const states = [state];
+    tokens.forEach(token => {
+      const action = state.gameOver ? null : parseAction(state, token);
+      if (!action) {
+        throw new Error(`Cannot play "${token}" at ply ${actions.length + 1}`);
+      }
+      state = applyAction(state, action);
+      actions.push(action);
+      states.push(state);
+    });
+
+    states[states.length - 1] = applyResultTags(state, tags);
+    return { tags, actions, states };
+  }
+
+  return {
+    RESULTS,
+    squareName,
+    parseSquare,
+    formatPosition,
+    parsePosition,
+    isStartingPosition,
+    formatAction,
+    parseAction,
+    getResultTag,
+    formatGame,
+    parseGame
+  };
+});
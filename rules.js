@@ -0,0 +1,481 @@
+// Chess Tic‑Tac‑Toe rules engine, shared by server.js and the browser.
+// Pure functions only: no DOM, no sockets. State goes in, legal actions,
+// new states and results come out.
+//
+// Actions are plain objects:
+//   { kind: "place", index, type }   put a piece from your pool on an empty cell
+//   { kind: "move", from, to }       move one of your pieces (captures allowed)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChessTTTRules = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // The rules of a variant. Only the defaults make the real game; smaller
+  // variants (fewer piece types, shorter lines) are for testing tools
+  // such as the tablebase builder on something that solves in seconds.
+  //   variant.pieceTypes   each side's pieces (default P, R, N, B)
+  //   variant.lineLength   pieces in a row that win (default the board size)
+  function createRules(variant = {}) {
+    const PLAYER_X = "X"; // White
+    const PLAYER_O = "O"; // Black
+
+    const BOARD_SIZE = 4;
+    const BOARD_CELLS = BOARD_SIZE * BOARD_SIZE;
+
+    // Piece types used in this variant
+    const PIECE_TYPES = variant.pieceTypes || ["P", "R", "N", "B"]; // pawn, rook, knight, bishop
+
+    // Pieces in a row that win, and pieces each side needs on the board
+    // before either may move
+    const LINE_LENGTH = variant.lineLength || BOARD_SIZE;
+    const PIECES_TO_MOVE = PIECE_TYPES.length - 1;
+
+    // Plies in a row without a placement or capture before the game is drawn
+    const DEFAULT_NO_PROGRESS_LIMIT = 40;
+
+    // Why a game ended (state.reason)
+    const END_REASONS = {
+      FOUR_IN_A_ROW: "four_in_a_row",
+      BOARD_FULL: "board_full",
+      THREEFOLD_REPETITION: "threefold_repetition",
+      MOVE_LIMIT: "move_limit",
+      DISCONNECT: "disconnect",
+      TIMEOUT: "timeout",
+      RESIGNATION: "resignation",
+      AGREEMENT: "agreement"
+    };
+
+    // Every run of LINE_LENGTH cells along a row, a column or a diagonal:
+    // on the real board the four rows, four columns and two diagonals
+    const WIN_LINES = [];
+    const LINE_STARTS = BOARD_SIZE - LINE_LENGTH + 1;
+    function addLine(row, col, stepRow, stepCol) {
+      const line = [];
+      for (let k = 0; k < LINE_LENGTH; k++) {
+        line.push((row + k * stepRow) * BOARD_SIZE + col + k * stepCol);
+      }
+      WIN_LINES.push(line);
+    }
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < LINE_STARTS; col++) addLine(row, col, 0, 1);
+    }
+    for (let col = 0; col < BOARD_SIZE; col++) {
+      for (let row = 0; row < LINE_STARTS; row++) addLine(row, col, 1, 0);
+    }
+    for (let row = 0; row < LINE_STARTS; row++) {
+      for (let col = 0; col < LINE_STARTS; col++) {
+        addLine(row, col, 1, 1);
+        addLine(row, col + LINE_LENGTH - 1, 1, -1);
+      }
+    }
+
+    /****************************************************
+     * Helpers
+     ****************************************************/
+
+    function otherPlayer(player) {
+      return player === PLAYER_X ? PLAYER_O : PLAYER_X;
+    }
+
+    function indexToRowCol(index) {
+      const row = Math.floor(index / BOARD_SIZE);
+      const col = index % BOARD_SIZE;
+      return { row, col };
+    }
+
+    function rowColToIndex(row, col) {
+      return row * BOARD_SIZE + col;
+    }
+
+    function isBoardIndex(index) {
+      return Number.isInteger(index) && index >= 0 && index < BOARD_CELLS;
+    }
+
+    function cloneBoard(b) {
+      return b.map(cell => (cell ? { ...cell } : null));
+    }
+
+    function clonePools(p) {
+      return { [PLAYER_X]: p[PLAYER_X].slice(), [PLAYER_O]: p[PLAYER_O].slice() };
+    }
+
+    function cloneState(state) {
+      const next = {
+        ...state,
+        board: cloneBoard(state.board),
+        pools: clonePools(state.pools)
+      };
+      if (state.drawCounters) {
+        next.drawCounters = {
+          ...state.drawCounters,
+          positionCounts: { ...state.drawCounters.positionCounts }
+        };
+      }
+      return next;
+    }
+
+    // Identity of a position for repetition: board (incl. pawn directions),
+    // both pools and the side to move.
+    function positionKey(state) {
+      const cells = state.board.map(cell => {
+        if (!cell) return ".";
+        const dir = cell.type === "P" ? (cell.dir > 0 ? "+" : "-") : "";
+        return cell.player + cell.type + dir;
+      });
+      const poolKey = player => state.pools[player].slice().sort().join("");
+      return (
+        cells.join(",") +
+        "|" + poolKey(PLAYER_X) +
+        "|" + poolKey(PLAYER_O) +
+        "|" + state.currentPlayer
+      );
+    }
+
+    // options.noProgressLimit: plies without placement/capture before a draw
+    function createInitialState(options = {}) {
+      const state = {
+        board: Array(BOARD_CELLS).fill(null),
+        pools: {
+          [PLAYER_X]: PIECE_TYPES.slice(),
+          [PLAYER_O]: PIECE_TYPES.slice()
+        },
+        currentPlayer: PLAYER_X,
+        gameOver: false,
+        winner: null,
+        reason: null,
+        ply: 0, // actions played so far
+        lastAction: null // the action that led to this state
+      };
+      state.drawCounters = {
+        noProgressLimit: options.noProgressLimit || DEFAULT_NO_PROGRESS_LIMIT,
+        noProgressCount: 0,
+        positionCounts: { [positionKey(state)]: 1 }
+      };
+      return state;
+    }
+
+    /****************************************************
+     * Win / draw checks
+     ****************************************************/
+
+    function checkWinner(b) {
+      for (let i = 0; i < WIN_LINES.length; i++) {
+        const line = WIN_LINES[i];
+        const first = b[line[0]];
+        if (!first) continue;
+
+        let k = 1;
+        while (k < line.length && b[line[k]] && b[line[k]].player === first.player) k++;
+        if (k === line.length) return first.player;
+      }
+      return null;
+    }
+
+    function isBoardFull(b) {
+      return b.every(cell => cell !== null);
+    }
+
+    function countPiecesOnBoard(b, player) {
+      return b.reduce(
+        (acc, cell) => acc + (cell && cell.player === player ? 1 : 0),
+        0
+      );
+    }
+
+    // Moving is unlocked for both sides once each has PIECES_TO_MOVE (in the
+    // real game three) pieces down.
+    function canMovePieces(b) {
+      return (
+        countPiecesOnBoard(b, PLAYER_X) >= PIECES_TO_MOVE &&
+        countPiecesOnBoard(b, PLAYER_O) >= PIECES_TO_MOVE
+      );
+    }
+
+    /****************************************************
+     * Piece movement
+     ****************************************************/
+
+    function isPathClear(b, fr, fc, tr, tc) {
+      const stepRow = fr === tr ? 0 : tr > fr ? 1 : -1;
+      const stepCol = fc === tc ? 0 : tc > fc ? 1 : -1;
+
+      let r = fr + stepRow;
+      let c = fc + stepCol;
+
+      while (r !== tr || c !== tc) {
+        if (b[rowColToIndex(r, c)] !== null) return false;
+        r += stepRow;
+        c += stepCol;
+      }
+
+      return true;
+    }
+
+    function isLegalRookMove(b, fr, fc, tr, tc) {
+      if (fr !== tr && fc !== tc) return false;
+      return isPathClear(b, fr, fc, tr, tc);
+    }
+
+    function isLegalBishopMove(b, fr, fc, tr, tc) {
+      const dr = tr - fr;
+      const dc = tc - fc;
+      if (Math.abs(dr) !== Math.abs(dc) || dr === 0) return false;
+      return isPathClear(b, fr, fc, tr, tc);
+    }
+
+    function isLegalKnightMove(dr, dc) {
+      const adr = Math.abs(dr);
+      const adc = Math.abs(dc);
+      return (adr === 1 && adc === 2) || (adr === 2 && adc === 1);
+    }
+
+    function isLegalPawnMove(b, fr, fc, tr, tc, piece) {
+      // Pawn always moves strictly according to its current direction.
+      // If direction is missing, the move is not allowed.
+      if (typeof piece.dir !== "number") return false;
+      const forwardRow = fr - piece.dir;
+
+      // Forward move (no capture)
+      if (tc === fc && tr === forwardRow) {
+        if (b[rowColToIndex(tr, tc)] === null) return true;
+      }
+
+      // Diagonal capture
+      if (tr === forwardRow && Math.abs(tc - fc) === 1) {
+        const target = b[rowColToIndex(tr, tc)];
+        if (target && target.player !== piece.player) return true;
+      }
+
+      return false;
+    }
+
+    // Geometry only: does `piece` on `fromIndex` reach `toIndex` on board `b`?
+    // Ownership of the target square is checked by the callers.
+    function isLegalMove(b, fromIndex, toIndex, piece) {
+      if (fromIndex === toIndex) return false;
+
+      const { row: fr, col: fc } = indexToRowCol(fromIndex);
+      const { row: tr, col: tc } = indexToRowCol(toIndex);
+
+      switch (piece.type) {
+        case "R":
+          return isLegalRookMove(b, fr, fc, tr, tc);
+        case "B":
+          return isLegalBishopMove(b, fr, fc, tr, tc);
+        case "N":
+          return isLegalKnightMove(tr - fr, tc - fc);
+        case "P":
+          return isLegalPawnMove(b, fr, fc, tr, tc, piece);
+        default:
+          return false;
+      }
+    }
+
+    // Initial pawn direction: X pawns walk towards row 0, O pawns towards the
+    // last row. A pawn dropped on the edge it would walk off starts reversed.
+    function initialPawnDir(player, index) {
+      const { row } = indexToRowCol(index);
+      if (player === PLAYER_X) return row === 0 ? -1 : 1;
+      return row === BOARD_SIZE - 1 ? 1 : -1;
+    }
+
+    /****************************************************
+     * Action generation
+     ****************************************************/
+
+    function getLegalPlacements(b, p, player) {
+      const results = [];
+      const pool = p[player];
+      if (!pool || pool.length === 0) return results;
+      for (let i = 0; i < BOARD_CELLS; i++) {
+        if (b[i] !== null) continue;
+        for (let t = 0; t < pool.length; t++) {
+          results.push({ kind: "place", index: i, type: pool[t] });
+        }
+      }
+      return results;
+    }
+
+    function getLegalMoves(b, p, player) {
+      const moves = [];
+      if (!canMovePieces(b)) return moves;
+      for (let i = 0; i < BOARD_CELLS; i++) {
+        const cell = b[i];
+        if (!cell || cell.player !== player) continue;
+        for (let j = 0; j < BOARD_CELLS; j++) {
+          const target = b[j];
+          if (target && target.player === player) continue;
+          if (isLegalMove(b, i, j, cell)) {
+            moves.push({ kind: "move", from: i, to: j });
+          }
+        }
+      }
+      return moves;
+    }
+
+    function getAllActions(b, p, player) {
+      return [...getLegalPlacements(b, p, player), ...getLegalMoves(b, p, player)];
+    }
+
+    /****************************************************
+     * Applying actions
+     ****************************************************/
+
+    // In-place helpers used by the AI search. They assume the action is legal.
+    function applyPlacement(b, p, player, type, index) {
+      const pool = p[player];
+      const idx = pool.indexOf(type);
+      if (idx === -1) return;
+      const piece = { player, type };
+      if (type === "P") {
+        piece.dir = initialPawnDir(player, index);
+      }
+      b[index] = piece;
+      pool.splice(idx, 1);
+    }
+
+    function applyMove(b, p, fromIndex, toIndex) {
+      const fromCell = b[fromIndex];
+      if (!fromCell) return;
+      const toCell = b[toIndex];
+
+      // Captured pieces return to their owner's pool
+      if (toCell && toCell.player !== fromCell.player) {
+        p[toCell.player].push(toCell.type);
+      }
+
+      b[toIndex] = { ...fromCell };
+      b[fromIndex] = null;
+
+      // Pawn direction reversal when it reaches the first or last row
+      if (fromCell.type === "P" && typeof fromCell.dir === "number") {
+        const { row } = indexToRowCol(toIndex);
+        if (row === 0 || row === BOARD_SIZE - 1) {
+          b[toIndex].dir = -fromCell.dir;
+        }
+      }
+    }
+
+    // Returns a human readable reason why `player` may not play `action`
+    // in `state`, or null when the action is legal.
+    function validateAction(state, player, action) {
+      if (state.gameOver) return "Game is over";
+      if (state.currentPlayer !== player) return "Not your turn";
+      if (!action) return "Invalid move";
+
+      const b = state.board;
+
+      if (action.kind === "place") {
+        if (!isBoardIndex(action.index)) return "Invalid move";
+        if (b[action.index] !== null) return "Cell is not empty";
+        if (state.pools[player].indexOf(action.type) === -1) return "Piece not available";
+        return null;
+      }
+
+      if (action.kind === "move") {
+        if (!isBoardIndex(action.from) || !isBoardIndex(action.to)) return "Invalid move";
+        if (!canMovePieces(b)) return "Cannot move yet";
+        const fromCell = b[action.from];
+        if (!fromCell || fromCell.player !== player) return "Invalid move";
+        const toCell = b[action.to];
+        if (toCell && toCell.player === player) return "Cannot capture own piece";
+        if (!isLegalMove(b, action.from, action.to, fromCell)) return "Illegal move";
+        return null;
+      }
+
+      return "Invalid move";
+    }
+
+    // Plays a (validated) action for the side to move and returns the new
+    // state: turn passed on, or gameOver/winner/reason set if the game ended.
+    function applyAction(state, action) {
+      const next = cloneState(state);
+      const player = state.currentPlayer;
+      let progress = true;
+
+      if (action.kind === "place") {
+        applyPlacement(next.board, next.pools, player, action.type, action.index);
+      } else {
+        progress = next.board[action.to] !== null; // captures count as progress
+        applyMove(next.board, next.pools, action.from, action.to);
+      }
+      next.ply = (state.ply || 0) + 1;
+      next.lastAction = action.kind === "place"
+        ? { kind: "place", index: action.index, type: action.type }
+        : { kind: "move", from: action.from, to: action.to };
+
+      const winner = checkWinner(next.board);
+      if (winner) {
+        next.gameOver = true;
+        next.winner = winner;
+        next.reason = END_REASONS.FOUR_IN_A_ROW;
+        return next;
+      }
+      if (isBoardFull(next.board)) {
+        next.gameOver = true;
+        next.reason = END_REASONS.BOARD_FULL;
+        return next;
+      }
+
+      next.currentPlayer = otherPlayer(player);
+
+      // States created before draw tracking existed simply skip it
+      const counters = next.drawCounters;
+      if (!counters) return next;
+
+      counters.noProgressCount = progress ? 0 : counters.noProgressCount + 1;
+      const key = positionKey(next);
+      counters.positionCounts[key] = (counters.positionCounts[key] || 0) + 1;
+
+      if (counters.positionCounts[key] >= 3) {
+        next.gameOver = true;
+        next.reason = END_REASONS.THREEFOLD_REPETITION;
+      } else if (counters.noProgressCount >= counters.noProgressLimit) {
+        next.gameOver = true;
+        next.reason = END_REASONS.MOVE_LIMIT;
+      }
+
+      return next;
+    }
+
+    return {
+      PLAYER_X,
+      PLAYER_O,
+      BOARD_SIZE,
+      BOARD_CELLS,
+      PIECE_TYPES,
+      PIECES_TO_MOVE,
+      DEFAULT_NO_PROGRESS_LIMIT,
+      END_REASONS,
+      WIN_LINES,
+      otherPlayer,
+      indexToRowCol,
+      rowColToIndex,
+      isBoardIndex,
+      cloneBoard,
+      clonePools,
+      cloneState,
+      positionKey,
+      createInitialState,
+      checkWinner,
+      isBoardFull,
+      countPiecesOnBoard,
+      canMovePieces,
+      isLegalMove,
+      initialPawnDir,
+      getLegalPlacements,
+      getLegalMoves,
+      getAllActions,
+      applyPlacement,
+      applyMove,
+      validateAction,
+      applyAction,
+      createRules
+    };
+  }
+
+  return createRules();
+});
@@ -0,0 +1,50 @@
+// Builds the perfect-play tablebase of the real game (format in
+// tablebase.js, solved by lib/tablebaseBuilder.js):
+//
+//   node scripts/build-tablebase.js [file]
+//
+// The file defaults to TABLEBASE_FILE, or data/tablebase.bin.
+//
+// The whole table is held in memory while solving, one byte for each of
+// the POSITION_COUNT positions, so this needs that much memory to spare
+// (the script says how much before it starts). Progress is printed as it
+// goes; nothing is saved along the way, so an interrupted build starts
+// over.
+
+const fs = require("fs");
+const path = require("path");
+const rules = require("../rules");
+const { POSITION_COUNT, positionIndex } = require("../tablebase");
+const { solveTable, getValue, writeTable } = require("../lib/tablebaseBuilder");
+const { TABLEBASE_FILE } = require("../lib/tablebaseStore");
+
+// Returns the number of won and lost positions
+function saveTable(table, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Written aside and renamed, so the server never reads a partial table
+  const partial = file + ".partial";
+  const fd = fs.openSync(partial, "w");
+  let decided;
+  try {
+    decided = writeTable(rules, table, bytes => fs.writeSync(fd, bytes));
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(partial, file);
+  return decided;
+}
+
+function main() {
+  const file = path.resolve(process.argv[2] || TABLEBASE_FILE);
+  const gigabytes = (POSITION_COUNT / 2 ** 30).toFixed(1);
+  console.log(`Solving ${POSITION_COUNT} positions (${gigabytes} GB in memory) into ${file}`);
+  const table = solveTable(rules, message => console.log(message));
+
+  const start = getValue(table, positionIndex(rules.createInitialState()));
+  console.log(`Starting position: ${start.result}${start.plies === null ? "" : " in " + start.plies}`);
+  const decided = saveTable(table, file);
+  const megabytes = (fs.statSync(file).size / 2 ** 20).toFixed(0);
+  console.log(`Done: ${decided} won or lost positions, ${megabytes} MB.`);
+}
+
+main();
@@ -2,197 +2,966 @@ const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
+const crypto = require("crypto");
+const {
+  PLAYER_X,
+  PLAYER_O,
+  DEFAULT_NO_PROGRESS_LIMIT,
+  END_REASONS,
+  otherPlayer,
+  createInitialState,
+  validateAction,
+  applyAction
+} = require("./rules");
+const {
+  DEFAULT_TIME_CONTROL,
+  isTimeControl,
+  createClock,
+  getRemaining,
+  isFlagged,
+  stopClock,
+  startClock,
+  switchTurn,
+  rewindTurn,
+  clockView
+} = require("./clock");
+const { parsePosition } = require("./notation");
+const gameStore = require("./lib/gameStore");
+const tablebaseStore = require("./lib/tablebaseStore");
+const accountStore = require("./lib/accountStore");
+const ratingStore = require("./lib/ratingStore");
+const playerStats = require("./lib/playerStats");
+const chat = require("./lib/chat");
+const socketEvents = require("./lib/socketEvents");
+const { readIdentity, identityCookie } = require("./lib/identity");
+
+const { ERRORS } = socketEvents;
+
+// Largest frame a client may send; anything bigger closes the connection
+const MAX_FRAME_BYTES = 16 * 1024;
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
+  maxHttpBufferSize: MAX_FRAME_BYTES,
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
   }
 });
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// Archive of finished games
+app.get("/api/games", (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  gameStore
+    .listGames({ limit, offset })
+    .then(result => res.json(result))
+    .catch(err => {
+      console.error("Could not list games:", err.message);
+      res.status(500).json({ error: "Could not read games" });
+    });
+});
+
+app.get("/api/games/:id", (req, res) => {
+  gameStore
+    .getGame(req.params.id)
+    .then(game => {
+      if (!game) {
+        res.status(404).json({ error: "Game not found" });
+        return;
+      }
+      res.json(game);
+    })
+    .catch(err => {
+      console.error("Could not read game:", err.message);
+      res.status(500).json({ error: "Could not read games" });
+    });
+});
+
+// Rated players, best first
+app.get("/api/leaderboard", (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json(playerStats.buildLeaderboard(ratingStore.listPlayers(), { limit, offset }));
+});
+
+// A registered player's rating, record by color, recent games and openings
+app.get("/api/players/:name", (req, res) => {
+  accountStore
+    .findAccount(req.params.name)
+    .then(async account => {
+      if (!account) {
+        res.status(404).json({ error: "Player not found" });
+        return;
+      }
+      const games = await gameStore.listPlayerGames(account.name);
+      res.json(playerStats.buildProfile(
+        account.name,
+        games,
+        ratingStore.getPlayer(account.name),
+        ratingStore.DEFAULT_RATING
+      ));
+    })
+    .catch(err => {
+      console.error("Could not build profile:", err.message);
+      res.status(500).json({ error: "Could not read player" });
+    });
+});
+
+// Perfect-play lookups: ?position=<position string> (notation.js)
+app.get("/api/tablebase", (req, res) => {
+  let position;
+  try {
+    position = parsePosition(String(req.query.position || ""));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return;
+  }
+  tablebaseStore
+    .analyze(position)
+    .then(analysis => {
+      if (!analysis) {
+        res.status(404).json({ error: "Tablebase not available" });
+        return;
+      }
+      res.json(analysis);
+    })
+    .catch(err => {
+      console.error("Could not read tablebase:", err.message);
+      res.status(500).json({ error: "Could not read tablebase" });
+    });
+});
+
+// Accounts and guest nicknames. Who you are is kept in a signed cookie,
+// which the socket connection reads too.
+const jsonBody = express.json({ limit: "1kb" });
+
+function signIn(res, identity) {
+  res.setHeader("Set-Cookie", identityCookie(identity));
+  res.json(identity);
+}
+
+app.get("/api/me", (req, res) => {
+  res.json(readIdentity(req.headers.cookie));
+});
+
+app.post("/api/register", jsonBody, (req, res) => {
+  const { name, password } = req.body || {};
+  accountStore
+    .register(name, password)
+    .then(account => signIn(res, { name: account.name, guest: false }))
+    .catch(err => res.status(400).json({ error: err.message }));
+});
+
+app.post("/api/login", jsonBody, (req, res) => {
+  const { name, password } = req.body || {};
+  accountStore
+    .verify(name, password)
+    .then(account => {
+      if (!account) {
+        res.status(401).json({ error: "Wrong name or password" });
+        return;
+      }
+      signIn(res, { name: account.name, guest: false });
+    })
+    .catch(err => {
+      console.error("Could not read accounts:", err.message);
+      res.status(500).json({ error: "Could not read accounts" });
+    });
+});
+
+// A nickname without a password; registered names are off limits
+app.post("/api/guest", jsonBody, (req, res) => {
+  const { name } = req.body || {};
+  const nameError = accountStore.checkName(name);
+  if (nameError) {
+    res.status(400).json({ error: nameError });
+    return;
+  }
+  accountStore
+    .hasAccount(name)
+    .then(taken => {
+      if (taken) {
+        res.status(400).json({ error: "That name belongs to a registered player" });
+        return;
+      }
+      signIn(res, { name, guest: true });
+    })
+    .catch(err => {
+      console.error("Could not read accounts:", err.message);
+      res.status(500).json({ error: "Could not read accounts" });
+    });
+});
+
+app.post("/api/logout", (req, res) => {
+  res.setHeader("Set-Cookie", identityCookie(null));
+  res.json(null);
+});
+
+// Pages for the leaderboard and player profiles; they load the APIs above
+app.get("/leaderboard", (req, res) => {
+  res.sendFile(path.join(__dirname, "leaderboard.html"));
+});
+
+app.get("/players/:name", (req, res) => {
+  res.sendFile(path.join(__dirname, "player.html"));
+});
+
+// The files the browser loads, and nothing else: server code and data/
+// stay out of reach
+const PUBLIC_FILES = [
+  "rules.js",
+  "clock.js",
+  "notation.js",
+  "engine.js",
+  "engine-worker.js",
+  "tablebase.js",
+  "game.js",
+  "stats.css"
+];
+
+app.get(["/", "/index.html"], (req, res) => {
+  res.sendFile(path.join(__dirname, "index.html"));
+});
+
+PUBLIC_FILES.forEach(file => {
+  app.get("/" + file, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+});
 
-// Game rooms: roomId -> { players: [socketId1, socketId2], gameState: {...} }
+app.use("/pieces-basic-svg", express.static(path.join(__dirname, "pieces-basic-svg")));
+
+// Game rooms: roomId -> {
+//   players: [socketId1, socketId2],
+//   gameState: {...},        includes the authoritative clock
+//   timeControl: "3+2",      id from clock.js TIME_CONTROLS
+//   isPrivate: bool,         invite-only: never paired with strangers or listed
+//   rated: bool,             games change both players' ratings
+//   waiting: { rating, since },  the lone player's rating and when they sat
+//                            down, while a public room waits for an opponent
+//   clockTimer,              fires when the player to move runs out of time
+//   spectators: [socketId, ...],  read-only watchers
+//   sessionTokens: { X: token, O: token },
+//   disconnected: { X|O: { socketId, timer } },  seats held for reconnection
+//   match: { score: { X, O }, draws, games },  running score, by current color
+//   game: { id, startedAt, players, actions },  record of the game being played
+//   rematchOffer: 'X'|'O'|null   who asked for a rematch of the finished game
+//   takebackRequest: { player, plies } | null   who asked to take back their
+//                                 last move, and how many plies that undoes
+//   drawOffer: 'X'|'O'|null      who offered a draw in the running game
+//   chat: [{ from, name, text, at }, ...]  latest messages between the players
+// }
 const rooms = new Map();
 
-// Player info: socketId -> { roomId, playerId: 'X'|'O' }
+// Player info: socketId -> { roomId, playerId: 'X'|'O', identity }
+// where identity is { name, guest } from the cookie, or null if anonymous
 const players = new Map();
 
-const BOARD_SIZE = 4;
-const BOARD_CELLS = BOARD_SIZE * BOARD_SIZE;
-const PIECE_TYPES = ["P", "R", "N", "B"];
+// Spectators: socketId -> roomId
+const spectators = new Map();
+
+// Resumable seats: sessionToken -> { roomId, playerId }
+const sessions = new Map();
+
+// How long a seat is held for a player who lost their connection mid-game
+const RECONNECT_GRACE_MS =
+  (parseInt(process.env.RECONNECT_GRACE_SECONDS, 10) || 30) * 1000;
+
+// Rated pairing: players start within RATING_WINDOW points of each other,
+// and the window widens by RATING_WINDOW_STEP every RATING_WINDOW_STEP_MS
+// spent waiting, until anyone will do
+const RATING_WINDOW = 100;
+const RATING_WINDOW_STEP = 50;
+const RATING_WINDOW_STEP_MS = 5000;
+
+// How often waiting rated players are checked against each other
+const PAIRING_SWEEP_MS = 2000;
+
+// Plies without a placement or capture before a game is drawn
+const NO_PROGRESS_LIMIT =
+  parseInt(process.env.NO_PROGRESS_LIMIT, 10) || DEFAULT_NO_PROGRESS_LIMIT;
+
+function createInitialGameState(timeControl) {
+  const state = createInitialState({ noProgressLimit: NO_PROGRESS_LIMIT });
+  state.clock = createClock(timeControl);
+  return state;
+}
+
+// Time control requested by a client, falling back to no clock
+function parseTimeControl(data) {
+  return data && isTimeControl(data.timeControl) ? data.timeControl : DEFAULT_TIME_CONTROL;
+}
 
-function createInitialGameState() {
+function generateRoomId() {
+  return `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Private rooms are named by a code that is easy to read out or type:
+// no 0/O or 1/I to mix up
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+
+function generateInviteCode() {
+  let code;
+  do {
+    const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+    code = Array.from(bytes, b => INVITE_CODE_ALPHABET[b % INVITE_CODE_ALPHABET.length]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+// A room id as typed or pasted: invite codes in any case, with stray spaces
+// or dashes
+function findRoomId(requested) {
+  if (typeof requested !== "string") return null;
+  if (rooms.has(requested)) return requested;
+  const code = requested.toUpperCase().replace(/[\s-]/g, "");
+  return rooms.has(code) ? code : null;
+}
+
+function createMatch() {
+  return { score: { [PLAYER_X]: 0, [PLAYER_O]: 0 }, draws: 0, games: 0 };
+}
+
+// `options`: { isPrivate, rated, rating } where rating is the creator's
+function createRoomRecord(timeControl, options = {}) {
   return {
-    board: Array(BOARD_CELLS).fill(null),
-    pools: {
-      X: PIECE_TYPES.slice(),
-      O: PIECE_TYPES.slice()
-    },
-    currentPlayer: "X",
-    gameOver: false,
-    winner: null
+    players: [],
+    gameState: createInitialGameState(timeControl),
+    timeControl,
+    isPrivate: Boolean(options.isPrivate),
+    rated: Boolean(options.rated),
+    waiting: options.isPrivate ? null : { rating: options.rating || null, since: Date.now() },
+    clockTimer: null,
+    spectators: [],
+    sessionTokens: {},
+    disconnected: {},
+    match: createMatch(),
+    rematchOffer: null,
+    takebackRequest: null,
+    drawOffer: null,
+    chat: [],
+    game: null
+  };
+}
+
+// Both seats are filled: start a fresh game and its archive record.
+// White's clock starts right away, so the game can't be held up forever.
+function startGame(roomId) {
+  const room = rooms.get(roomId);
+  room.gameState = createInitialGameState(room.timeControl);
+  if (room.gameState.clock) {
+    room.gameState.clock = startClock(room.gameState.clock, PLAYER_X, Date.now());
+  }
+  room.takebackRequest = null;
+  room.drawOffer = null;
+  room.game = {
+    id: crypto.randomBytes(8).toString("hex"),
+    startedAt: new Date().toISOString(),
+    players: {},
+    actions: []
   };
+  room.players.forEach(id => {
+    const info = players.get(id);
+    if (!info) return;
+    room.game.players[info.playerId] = info.identity
+      ? { id, name: info.identity.name, guest: info.identity.guest }
+      : { id };
+  });
+  scheduleFlagCheck(roomId);
+}
+
+// A new opponent sat down: fresh game, fresh score
+function startNewMatch(roomId) {
+  const room = rooms.get(roomId);
+  startGame(roomId);
+  room.match = createMatch();
+  room.rematchOffer = null;
+  room.chat = [];
 }
 
-function checkWinner(b) {
-  const lines = [
-    [0, 1, 2, 3], [4, 5, 6, 7], [8, 9, 10, 11], [12, 13, 14, 15],
-    [0, 4, 8, 12], [1, 5, 9, 13], [2, 6, 10, 14], [3, 7, 11, 15],
-    [0, 5, 10, 15], [3, 6, 9, 12]
-  ];
+// The color nobody in the room is playing yet
+function getOpenSeat(room) {
+  const taken = room.players.map(id => players.get(id)?.playerId);
+  return taken.includes(PLAYER_X) ? PLAYER_O : PLAYER_X;
+}
 
-  for (const [a, b0, c, d] of lines) {
-    const first = b[a];
-    if (!first) continue;
-    if (
-      b[b0] && b[c] && b[d] &&
-      b[b0].player === first.player &&
-      b[c].player === first.player &&
-      b[d].player === first.player
-    ) {
-      return first.player;
-    }
+// Game state as sent to clients: the clock is brought up to date
+function getPublicGameState(room) {
+  const { gameState } = room;
+  if (!gameState.clock) return gameState;
+  return { ...gameState, clock: clockView(gameState.clock, Date.now()) };
+}
+
+function emitGameState(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  io.to(roomId).emit("gameStateUpdate", getPublicGameState(room));
+}
+
+// Arm the flag-fall timer for whoever is on move
+function scheduleFlagCheck(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  clearTimeout(room.clockTimer);
+  room.clockTimer = null;
+
+  const { clock } = room.gameState;
+  if (!clock || clock.running === null || room.gameState.gameOver) return;
+  const remaining = getRemaining(clock, clock.running, Date.now());
+  room.clockTimer = setTimeout(() => checkFlag(roomId), remaining + 25);
+}
+
+// Ends the game if the player to move has run out of time.
+// Returns true when the flag fell.
+function checkFlag(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.gameState.gameOver) return false;
+  const { clock } = room.gameState;
+  if (!clock || !isFlagged(clock, Date.now())) return false;
+
+  finishGame(roomId, otherPlayer(clock.running), END_REASONS.TIMEOUT);
+  console.log(`Flag fell for ${clock.running} in room ${roomId}`);
+  return true;
+}
+
+// Ends the running game outside of the rules (time, disconnect, ...)
+function finishGame(roomId, winnerId, reason) {
+  const room = rooms.get(roomId);
+  if (!room || room.gameState.gameOver) return;
+
+  const gameState = room.gameState;
+  gameState.gameOver = true;
+  gameState.winner = winnerId;
+  gameState.reason = reason;
+  if (gameState.clock) {
+    gameState.clock = stopClock(gameState.clock, Date.now());
   }
-  return null;
+  clearTimeout(room.clockTimer);
+  room.clockTimer = null;
+
+  emitGameState(roomId);
+  concludeGame(roomId);
+}
+
+// Book-keeping once a game is over, however it ended
+function concludeGame(roomId) {
+  const room = rooms.get(roomId);
+  scoreGame(room);
+  rateGame(roomId, room);
+  archiveGame(roomId, room);
+  emitMatch(roomId);
 }
 
-function isBoardFull(b) {
-  return b.every(cell => cell !== null);
+// A rated game moves both ratings; the change is kept with the game
+function rateGame(roomId, room) {
+  if (!room.rated || !room.game) return;
+  const { X: white, O: black } = room.game.players;
+  if (!white || !black || !white.name || !black.name || white.guest || black.guest) return;
+
+  const ratings = ratingStore.rateGame(
+    { [PLAYER_X]: white.name, [PLAYER_O]: black.name },
+    room.gameState.winner
+  );
+  if (!ratings) return;
+  room.game.ratings = ratings;
+  io.to(roomId).emit("ratingUpdate", { ratings });
 }
 
-function countPiecesOnBoard(b, player) {
-  return b.reduce((acc, cell) => acc + (cell && cell.player === player ? 1 : 0), 0);
+function archiveGame(roomId, room) {
+  if (!room.game) return;
+  const { gameState } = room;
+  gameStore.saveGame({
+    id: room.game.id,
+    roomId,
+    timeControl: room.timeControl,
+    players: room.game.players,
+    rated: room.rated,
+    ratings: room.game.ratings || null,
+    actions: room.game.actions,
+    winner: gameState.winner,
+    reason: gameState.reason,
+    startedAt: room.game.startedAt,
+    endedAt: new Date().toISOString()
+  });
+  room.game = null;
 }
 
-function bothPlayersHaveThree(b) {
-  return countPiecesOnBoard(b, "X") >= 3 && countPiecesOnBoard(b, "O") >= 3;
+// Count the finished game towards the room's match score
+function scoreGame(room) {
+  const { match, gameState } = room;
+  match.games++;
+  if (gameState.winner) {
+    match.score[gameState.winner]++;
+  } else {
+    match.draws++;
+  }
 }
 
-function indexToRowCol(index) {
-  const row = Math.floor(index / BOARD_SIZE);
-  const col = index % BOARD_SIZE;
-  return { row, col };
+function getMatchInfo(room) {
+  return { ...room.match, rematchOfferedBy: room.rematchOffer };
 }
 
-function rowColToIndex(row, col) {
-  return row * BOARD_SIZE + col;
+function emitMatch(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  io.to(roomId).emit("matchUpdate", getMatchInfo(room));
 }
 
-function isLegalRookMove(b, fr, fc, tr, tc) {
-  if (fr !== tr && fc !== tc) return false;
-  const stepRow = fr === tr ? 0 : tr > fr ? 1 : -1;
-  const stepCol = fc === tc ? 0 : tc > fc ? 1 : -1;
-  let r = fr + stepRow;
-  let c = fc + stepCol;
-  while (r !== tr || c !== tc) {
-    if (b[rowColToIndex(r, c)] !== null) return false;
-    r += stepRow;
-    c += stepCol;
+// Both players agreed: swap colors and start the next game of the match
+function startRematch(roomId) {
+  const room = rooms.get(roomId);
+  room.players.forEach(id => {
+    const info = players.get(id);
+    info.playerId = otherPlayer(info.playerId);
+  });
+
+  const { X: tokenX, O: tokenO } = room.sessionTokens;
+  room.sessionTokens = { [PLAYER_X]: tokenO, [PLAYER_O]: tokenX };
+  Object.entries(room.sessionTokens).forEach(([playerId, token]) => {
+    sessions.set(token, { roomId, playerId });
+  });
+
+  const { score } = room.match;
+  room.match.score = { [PLAYER_X]: score[PLAYER_O], [PLAYER_O]: score[PLAYER_X] };
+  room.rematchOffer = null;
+  startGame(roomId);
+
+  emitRoomJoined(roomId);
+  console.log(`Rematch started in room ${roomId}`);
+}
+
+// Put a socket in a room seat and issue the token that can reclaim it
+function seatPlayer(socket, roomId, playerId) {
+  stopWatching(socket);
+  const room = rooms.get(roomId);
+  const sessionToken = crypto.randomBytes(16).toString("hex");
+
+  if (room.sessionTokens[playerId]) {
+    sessions.delete(room.sessionTokens[playerId]);
   }
-  return true;
+  room.sessionTokens[playerId] = sessionToken;
+  sessions.set(sessionToken, { roomId, playerId });
+
+  room.players.push(socket.id);
+  players.set(socket.id, { roomId, playerId, identity: socket.data.identity });
+  socket.join(roomId);
+  return sessionToken;
+}
+
+function getPlayerName(info) {
+  return info && info.identity ? info.identity.name : null;
 }
 
-function isLegalBishopMove(b, fr, fc, tr, tc) {
-  const dr = tr - fr;
-  const dc = tc - fc;
-  if (Math.abs(dr) !== Math.abs(dc) || dr === 0) return false;
-  const stepRow = dr > 0 ? 1 : -1;
-  const stepCol = dc > 0 ? 1 : -1;
-  let r = fr + stepRow;
-  let c = fc + stepCol;
-  while (r !== tr || c !== tc) {
-    if (b[rowColToIndex(r, c)] !== null) return false;
-    r += stepRow;
-    c += stepCol;
+function getPlayerRating(info) {
+  const identity = info && info.identity;
+  return identity && !identity.guest ? ratingStore.getRating(identity.name) : null;
+}
+
+// { id, playerId, name, guest, rating } per seat; name is null for anonymous
+// players, rating for anyone but registered ones
+function getRoomPlayers(room) {
+  return room.players.map(id => {
+    const info = players.get(id);
+    return {
+      id,
+      playerId: info?.playerId,
+      name: getPlayerName(info),
+      guest: Boolean(info?.identity?.guest),
+      rating: getPlayerRating(info)
+    };
+  });
+}
+
+// { X: name, O: name }, null for anonymous players
+function getSeatNames(room) {
+  const names = { [PLAYER_X]: null, [PLAYER_O]: null };
+  room.players.forEach(id => {
+    const info = players.get(id);
+    if (info) names[info.playerId] = getPlayerName(info);
+  });
+  return names;
+}
+
+// { X: rating, O: rating }, null for unrated players
+function getSeatRatings(room) {
+  const ratings = { [PLAYER_X]: null, [PLAYER_O]: null };
+  room.players.forEach(id => {
+    const info = players.get(id);
+    if (info) ratings[info.playerId] = getPlayerRating(info);
+  });
+  return ratings;
+}
+
+// Tell both players the room is full; each gets their own session token
+function emitRoomJoined(roomId) {
+  const room = rooms.get(roomId);
+  room.players.forEach(id => {
+    const playerId = players.get(id)?.playerId;
+    io.to(id).emit("roomJoined", {
+      roomId,
+      gameState: getPublicGameState(room),
+      players: getRoomPlayers(room),
+      sessionToken: room.sessionTokens[playerId],
+      rated: room.rated,
+      isFull: true,
+      playersCount: 2,
+      match: getMatchInfo(room),
+      chat: room.chat
+    });
+  });
+  // Spectators start watching the fresh game from scratch
+  room.spectators.forEach(id => {
+    io.to(id).emit("spectating", getSpectatingPayload(roomId));
+  });
+}
+
+function emitSpectatorCount(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  io.to(roomId).emit("spectatorCount", { count: room.spectators.length });
+}
+
+function getSpectatingPayload(roomId) {
+  const room = rooms.get(roomId);
+  return {
+    roomId,
+    gameState: getPublicGameState(room),
+    players: getRoomPlayers(room),
+    rated: room.rated,
+    spectatorCount: room.spectators.length,
+    match: getMatchInfo(room),
+    chat: room.chat
+  };
+}
+
+// Add a socket to a room's audience; it gets every broadcast but can't move
+function watchRoom(socket, roomId) {
+  const room = rooms.get(roomId);
+  stopWatching(socket);
+  room.spectators.push(socket.id);
+  spectators.set(socket.id, roomId);
+  socket.join(roomId);
+
+  socket.emit("spectating", getSpectatingPayload(roomId));
+  emitSpectatorCount(roomId);
+  console.log(`Spectator ${socket.id} is watching room ${roomId}`);
+}
+
+function stopWatching(socket) {
+  const roomId = spectators.get(socket.id);
+  if (!roomId) return;
+  spectators.delete(socket.id);
+  socket.leave(roomId);
+
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.spectators = room.spectators.filter(id => id !== socket.id);
+  emitSpectatorCount(roomId);
+}
+
+// Rooms with a game in progress, for the spectator lobby
+function getLiveRooms() {
+  const live = [];
+  for (const [roomId, room] of rooms.entries()) {
+    if (room.isPrivate || room.players.length < 2 || room.gameState.gameOver) continue;
+    live.push({
+      roomId,
+      timeControl: room.timeControl,
+      currentPlayer: room.gameState.currentPlayer,
+      spectatorCount: room.spectators.length,
+      names: getSeatNames(room),
+      rated: room.rated,
+      ratings: getSeatRatings(room)
+    });
+  }
+  return live;
+}
+
+function deleteRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  // Anyone still watching is told the room is gone
+  room.spectators.forEach(id => spectators.delete(id));
+  io.to(roomId).emit("roomClosed", { roomId });
+  io.in(roomId).socketsLeave(roomId);
+  Object.values(room.disconnected).forEach(seat => clearTimeout(seat.timer));
+  clearTimeout(room.clockTimer);
+  Object.values(room.sessionTokens).forEach(token => sessions.delete(token));
+  rooms.delete(roomId);
+}
+
+// Free a seat for good: its socket leaves the room and its token dies
+function releaseSeat(roomId, socketId, playerId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.players = room.players.filter(id => id !== socketId);
+  if (room.sessionTokens[playerId]) {
+    sessions.delete(room.sessionTokens[playerId]);
+    delete room.sessionTokens[playerId];
+  }
+  if (room.disconnected[playerId]) {
+    clearTimeout(room.disconnected[playerId].timer);
+    delete room.disconnected[playerId];
+  }
+  // Whoever is left waits for a new opponent from now on
+  if (!room.isPrivate && room.players.length === 1) {
+    room.waiting = { rating: getPlayerRating(players.get(room.players[0])), since: Date.now() };
+  }
+}
+
+// The player who left (or never came back) loses the running game
+function forfeitGame(roomId, loserId) {
+  const room = rooms.get(roomId);
+  if (!room || room.gameState.gameOver) return;
+
+  const winnerId = otherPlayer(loserId);
+  io.to(roomId).emit("playerDisconnected", {
+    playerId: loserId,
+    reason: "opponent_disconnected"
+  });
+  finishGame(roomId, winnerId, END_REASONS.DISCONNECT);
+  console.log(`Player ${winnerId} wins by disconnect in room ${roomId}`);
+}
+
+// Grace period ran out without the player reclaiming their seat
+function expireSeat(roomId, playerId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.disconnected[playerId]) return;
+
+  const { socketId } = room.disconnected[playerId];
+  releaseSeat(roomId, socketId, playerId);
+  forfeitGame(roomId, playerId);
+
+  // Nobody connected is left to play on
+  if (!room.players.some(id => players.has(id))) {
+    deleteRoom(roomId);
   }
-  return true;
 }
 
-function isLegalPawnMove(b, fr, fc, tr, tc, piece) {
-  if (typeof piece.dir !== "number") return false;
-  const dir = piece.dir;
-  const forwardRow = fr - dir;
-  
-  console.log('fr', fr);
-  console.log('fc', fc);
-  console.log('tr', tr);
-  console.log('tc', tc);
-  console.log('dir', dir);
-  console.log('forwardRow', forwardRow);
-
-  if (tc === fc && tr === forwardRow) {
-    if (b[rowColToIndex(tr, tc)] === null) return true;
+// A seated player's room, if its game is running with both players there
+// (to resign, offer a draw or ask for a takeback). Emits the reason and
+// returns null otherwise.
+function getPlayingSeat(socket) {
+  const playerInfo = players.get(socket.id);
+  const room = playerInfo && rooms.get(playerInfo.roomId);
+  if (room && room.gameState.gameOver) {
+    socket.emit("error", ERRORS.GAME_OVER);
+    return null;
   }
-  if (tr === forwardRow && Math.abs(tc - fc) === 1) {
-    const target = b[rowColToIndex(tr, tc)];
-    if (target && target.player !== piece.player) return true;
+  if (!room || !room.game) {
+    socket.emit("error", ERRORS.NOT_IN_GAME);
+    return null;
   }
-  return false;
-}
-
-function isLegalMove(b, fromIndex, toIndex, piece) {
-  const { row: fr, col: fc } = indexToRowCol(fromIndex);
-  const { row: tr, col: tc } = indexToRowCol(toIndex);
-  const dr = tr - fr;
-  const dc = tc - fc;
-  
-  switch (piece.type) {
-    case "R":
-      return isLegalRookMove(b, fr, fc, tr, tc);
-    case "B":
-      return isLegalBishopMove(b, fr, fc, tr, tc);
-    case "N":
-      return (Math.abs(dr) === 1 && Math.abs(dc) === 2) ||
-        (Math.abs(dr) === 2 && Math.abs(dc) === 1);
-    case "P":
-      return isLegalPawnMove(b, fr, fc, tr, tc, piece);
-    default:
-      return false;
+  if (room.players.length < 2 || Object.keys(room.disconnected).length > 0) {
+    socket.emit("error", ERRORS.OPPONENT_LEFT);
+    return null;
   }
+  return { ...playerInfo, room };
+}
+
+function emitTakeback(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const request = room.takebackRequest;
+  io.to(roomId).emit("takebackUpdate", { requestedBy: request ? request.player : null });
+}
+
+function emitDrawOffer(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  io.to(roomId).emit("drawOfferUpdate", { offeredBy: room.drawOffer });
+}
+
+// Undo the last `plies` actions of the running game by replaying the rest.
+// Clocks keep the time already used; the side back on move resumes.
+function takeBack(roomId, plies) {
+  const room = rooms.get(roomId);
+  const actions = room.game.actions.slice(0, room.game.actions.length - plies);
+  const clock = room.gameState.clock;
+
+  let gameState = createInitialGameState(room.timeControl);
+  actions.forEach(({ player, at, ...move }) => {
+    gameState = applyAction(gameState, move);
+  });
+  if (clock) {
+    gameState.clock = rewindTurn(clock, gameState.currentPlayer, Date.now());
+  }
+
+  room.gameState = gameState;
+  room.game.actions = actions;
+  room.takebackRequest = null;
+  scheduleFlagCheck(roomId);
+  io.to(roomId).emit("takenBack", { plies, gameState: getPublicGameState(room) });
+  emitTakeback(roomId);
+  // A draw offer was about a position that is gone now
+  if (room.drawOffer) {
+    room.drawOffer = null;
+    emitDrawOffer(roomId);
+  }
+}
+
+// A seated player's room, if a rematch can be arranged there right now.
+// Emits the reason and returns null otherwise.
+function getRematchSeat(socket) {
+  const playerInfo = players.get(socket.id);
+  const room = playerInfo && rooms.get(playerInfo.roomId);
+  if (!room) {
+    socket.emit("error", ERRORS.NOT_IN_ROOM);
+    return null;
+  }
+  if (!room.gameState.gameOver) {
+    socket.emit("error", ERRORS.GAME_NOT_OVER);
+    return null;
+  }
+  if (room.players.length < 2 || Object.keys(room.disconnected).length > 0) {
+    socket.emit("error", ERRORS.OPPONENT_LEFT);
+    return null;
+  }
+  return { ...playerInfo, room };
+}
+
+// The rating of a registered player, null for guests and anonymous ones
+function getSocketRating(socket) {
+  const identity = socket.data.identity;
+  return identity && !identity.guest ? ratingStore.getRating(identity.name) : null;
+}
+
+// How far apart two ratings may be once a player has waited `waitedMs`
+function getRatingWindow(waitedMs) {
+  return RATING_WINDOW + RATING_WINDOW_STEP * Math.floor(waitedMs / RATING_WINDOW_STEP_MS);
 }
 
-function findAvailableRoom() {
+// Whether a player rated `rating` may join the lone player of `room`
+function isWithinWindow(room, rating, now) {
+  if (!room.rated) return true;
+  return Math.abs(room.waiting.rating - rating) <= getRatingWindow(now - room.waiting.since);
+}
+
+// The registered account (lowercased name) of a socket's identity, or null
+// for guests and anonymous players
+function getAccountKey(identity) {
+  return identity && !identity.guest ? identity.name.toLowerCase() : null;
+}
+
+// Whether the lone player waiting in `room` is signed in as `account`, so
+// one account in two tabs never gets paired with itself
+function isWaitingAccount(room, account) {
+  const playerInfo = players.get(room.players[0]);
+  return account !== null && getAccountKey(playerInfo && playerInfo.identity) === account;
+}
+
+// `seek`: { timeControl, rated, rating, account }. The longest-waiting
+// public room that fits it, or null.
+function findAvailableRoom(seek) {
+  const now = Date.now();
   for (const [roomId, room] of rooms.entries()) {
-    if (room.players.length === 1) {
+    if (
+      !room.isPrivate &&
+      room.players.length === 1 &&
+      room.timeControl === seek.timeControl &&
+      room.rated === seek.rated &&
+      !isWaitingAccount(room, seek.account) &&
+      isWithinWindow(room, seek.rating, now)
+    ) {
       return roomId;
     }
   }
   return null;
 }
 
+// Two rated players who both created a room wait in vain unless their
+// windows are checked again as they widen. The later one moves over.
+function pairWaitingRooms() {
+  const now = Date.now();
+  const waiting = [...rooms.entries()].filter(
+    ([, room]) => room.rated && !room.isPrivate && room.players.length === 1 &&
+      players.has(room.players[0])
+  );
+  const moved = new Set();
+  waiting.forEach(([roomId, room], i) => {
+    if (moved.has(roomId) || room.players.length !== 1) return;
+    const match = waiting.slice(i + 1).find(([otherId, other]) => {
+      if (moved.has(otherId) || other.timeControl !== room.timeControl) return false;
+      const playerInfo = players.get(other.players[0]);
+      if (isWaitingAccount(room, getAccountKey(playerInfo && playerInfo.identity))) return false;
+      const gap = Math.abs(room.waiting.rating - other.waiting.rating);
+      const patience = Math.max(now - room.waiting.since, now - other.waiting.since);
+      return gap <= getRatingWindow(patience);
+    });
+    if (!match) return;
+
+    const [otherId, other] = match;
+    const socket = io.sockets.sockets.get(other.players[0]);
+    if (!socket) return;
+    moved.add(otherId);
+    players.delete(socket.id);
+    deleteRoom(otherId);
+    seatPlayer(socket, roomId, getOpenSeat(room));
+    startNewMatch(roomId);
+    emitRoomJoined(roomId);
+    console.log(`Paired ${socket.id} into rated room ${roomId}`);
+  });
+}
+
+setInterval(pairWaitingRooms, PAIRING_SWEEP_MS).unref();
+
 io.on("connection", (socket) => {
+  socket.data.identity = readIdentity(socket.handshake.headers.cookie);
   console.log(`Player connected: ${socket.id}`);
   // Broadcast current online player count
   io.emit("onlineCount", players.size + 1); // +1 for this connecting socket (not yet in map)
 
-  socket.on("findOrCreateRoom", () => {
+  // Every event is checked before its handler runs: a malformed one gets
+  // the client disconnected, and a flood is dropped until it slows down
+  socket.data.eventsSentAt = [];
+  socket.use(([event, ...args], next) => {
+    const problem = socketEvents.checkEvent(event, args);
+    if (problem) {
+      console.log(`Disconnecting ${socket.id}: malformed event (${problem})`);
+      socket.emit("error", ERRORS.MALFORMED_EVENT);
+      socket.disconnect(true);
+      return;
+    }
+    if (!socketEvents.allowEvent(socket.data.eventsSentAt, Date.now())) {
+      // Told once, not once per dropped event
+      if (!socket.data.rateLimited) socket.emit("error", ERRORS.RATE_LIMITED);
+      socket.data.rateLimited = true;
+      return;
+    }
+    socket.data.rateLimited = false;
+    next();
+  });
+
+  socket.on("findOrCreateRoom", (data) => {
+    if (players.has(socket.id)) {
+      socket.emit("error", ERRORS.ALREADY_IN_ROOM);
+      return;
+    }
+    const timeControl = parseTimeControl(data);
+    const rating = getSocketRating(socket);
+    const rated = Boolean(data && data.rated);
+    if (rated && rating === null) {
+      socket.emit("error", ERRORS.RATED_NEEDS_ACCOUNT);
+      return;
+    }
+    const seek = { timeControl, rated, rating, account: getAccountKey(socket.data.identity) };
+
     // Try to find an available room first
-    const availableRoomId = findAvailableRoom();
+    const availableRoomId = findAvailableRoom(seek);
     
     if (availableRoomId) {
       // Join existing room
       const room = rooms.get(availableRoomId);
       if (room.players.length < 2 && !room.players.includes(socket.id)) {
-        // Reset game state when a new player joins
-        room.gameState = createInitialGameState();
-        room.players.push(socket.id);
-        players.set(socket.id, { roomId: availableRoomId, playerId: "O" });
-        socket.join(availableRoomId);
-
-        const roomData = {
-          roomId: availableRoomId,
-          gameState: room.gameState,
-          players: room.players.map(id => ({ id, playerId: players.get(id)?.playerId })),
-          isFull: true,
-          playersCount: 2
-        };
-        
+        // Reset game state and score when a new player joins
+        seatPlayer(socket, availableRoomId, getOpenSeat(room));
+        startNewMatch(availableRoomId);
+
         // Notify both players that the room is now full
-        io.to(availableRoomId).emit("roomJoined", roomData);
+        emitRoomJoined(availableRoomId);
 
         console.log(`Player ${socket.id} auto-joined room ${availableRoomId}`);
         return;
@@ -200,215 +969,389 @@ io.on("connection", (socket) => {
     }
     
     // Create new room if no available room found
-    const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const newRoom = {
-      players: [socket.id],
-      gameState: createInitialGameState()
-    };
-    rooms.set(roomId, newRoom);
-    players.set(socket.id, { roomId, playerId: "X" });
-    socket.join(roomId);
+    const roomId = generateRoomId();
+    rooms.set(roomId, createRoomRecord(timeControl, { rated, rating }));
+    const sessionToken = seatPlayer(socket, roomId, PLAYER_X);
     socket.emit("roomCreated", { 
       roomId, 
-      playerId: "X",
+      playerId: PLAYER_X,
+      sessionToken,
+      timeControl,
+      rated,
       isFull: false,
       playersCount: 1
     });
     console.log(`Room auto-created: ${roomId} by ${socket.id}`);
   });
 
-  socket.on("createRoom", () => {
-    const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    rooms.set(roomId, {
-      players: [socket.id],
-      gameState: createInitialGameState()
-    });
-    players.set(socket.id, { roomId, playerId: "X" });
-    socket.join(roomId);
+  // A private room for playing a friend: its id is the invite code
+  socket.on("createRoom", (data) => {
+    if (players.has(socket.id)) {
+      socket.emit("error", ERRORS.ALREADY_IN_ROOM);
+      return;
+    }
+    const timeControl = parseTimeControl(data);
+    const roomId = generateInviteCode();
+    rooms.set(roomId, createRoomRecord(timeControl, { isPrivate: true }));
+    const sessionToken = seatPlayer(socket, roomId, PLAYER_X);
     socket.emit("roomCreated", { 
       roomId, 
-      playerId: "X",
+      playerId: PLAYER_X,
+      sessionToken,
+      timeControl,
+      inviteCode: roomId,
       isFull: false,
       playersCount: 1
     });
-    console.log(`Room created: ${roomId} by ${socket.id}`);
+    console.log(`Private room created: ${roomId} by ${socket.id}`);
   });
 
   socket.on("joinRoom", (data) => {
-    const { roomId } = data;
+    const roomId = findRoomId(data && data.roomId);
     const room = rooms.get(roomId);
 
     if (!room) {
-      socket.emit("error", { message: "Room not found" });
+      socket.emit("error", ERRORS.ROOM_NOT_FOUND);
+      return;
+    }
+
+    if (room.players.includes(socket.id)) {
+      // socket.emit("error", { message: "You are already in this room" });
       return;
     }
 
     if (room.players.length >= 2) {
-      console.log(`Room ${roomId} is full: ${room.players}`);
-      socket.emit("error", { message: "Room is full" });
+      // Both seats are taken: watch instead of playing
+      watchRoom(socket, roomId);
       return;
     }
 
-    if (room.players.includes(socket.id)) {
-      // socket.emit("error", { message: "You are already in this room" });
+    if (players.has(socket.id)) {
+      socket.emit("error", ERRORS.ALREADY_IN_ROOM);
       return;
     }
 
-    room.players.push(socket.id);
-    players.set(socket.id, { roomId, playerId: "O" });
-    socket.join(roomId);
+    seatPlayer(socket, roomId, getOpenSeat(room));
+    startNewMatch(roomId);
+    emitRoomJoined(roomId);
 
-    const roomData = {
-      roomId,
-      gameState: room.gameState,
-      players: room.players.map(id => ({ id, playerId: players.get(id)?.playerId })),
-      isFull: true,
-      playersCount: 2
-    };
+    console.log(`Player ${socket.id} joined room ${roomId}`);
+  });
 
-    io.to(roomId).emit("roomJoined", roomData);
+  socket.on("watchRoom", (data) => {
+    const roomId = data && data.roomId;
+    if (!rooms.has(roomId)) {
+      socket.emit("error", ERRORS.ROOM_NOT_FOUND);
+      return;
+    }
+    if (players.has(socket.id)) {
+      socket.emit("error", ERRORS.ALREADY_IN_ROOM);
+      return;
+    }
+    watchRoom(socket, roomId);
+  });
 
-    console.log(`Player ${socket.id} joined room ${roomId}`);
+  socket.on("listRooms", () => {
+    socket.emit("roomList", { rooms: getLiveRooms() });
+  });
+
+  socket.on("resumeSession", (data) => {
+    const session = sessions.get(data && data.sessionToken);
+    const room = session && rooms.get(session.roomId);
+    if (!room) {
+      socket.emit("sessionExpired");
+      return;
+    }
+
+    const { roomId, playerId } = session;
+    const seated = players.get(socket.id);
+    if (seated && (seated.roomId !== roomId || seated.playerId !== playerId)) {
+      socket.emit("error", ERRORS.ALREADY_IN_ROOM);
+      return;
+    }
+    stopWatching(socket);
+
+    const held = room.disconnected[playerId];
+    const oldSocketId = held
+      ? held.socketId
+      : room.players.find(id => players.get(id)?.playerId === playerId);
+
+    if (held) {
+      clearTimeout(held.timer);
+      delete room.disconnected[playerId];
+    } else if (oldSocketId && oldSocketId !== socket.id) {
+      // The old connection hasn't timed out yet: the new one takes over
+      players.delete(oldSocketId);
+      const oldSocket = io.sockets.sockets.get(oldSocketId);
+      if (oldSocket) oldSocket.disconnect(true);
+    }
+
+    room.players = room.players.map(id => (id === oldSocketId ? socket.id : id));
+    if (!room.players.includes(socket.id)) room.players.push(socket.id);
+    players.set(socket.id, { roomId, playerId, identity: socket.data.identity });
+    socket.join(roomId);
+
+    socket.emit("sessionResumed", {
+      roomId,
+      playerId,
+      sessionToken: data.sessionToken,
+      inviteCode: room.isPrivate ? roomId : null,
+      rated: room.rated,
+      gameState: getPublicGameState(room),
+      players: getRoomPlayers(room),
+      isFull: room.players.length === 2,
+      playersCount: room.players.length,
+      match: getMatchInfo(room),
+      chat: room.chat
+    });
+    socket.to(roomId).emit("playerReconnected", { playerId });
+    io.emit("onlineCount", players.size);
+    console.log(`Player ${socket.id} resumed ${playerId} in room ${roomId}`);
   });
 
   socket.on("makeMove", (data) => {
+    if (spectators.has(socket.id)) {
+      socket.emit("error", ERRORS.SPECTATORS_CANNOT_MOVE);
+      return;
+    }
+
     const playerInfo = players.get(socket.id);
     if (!playerInfo) {
-      socket.emit("error", { message: "Not in a room" });
+      socket.emit("error", ERRORS.NOT_IN_ROOM);
       return;
     }
 
     const room = rooms.get(playerInfo.roomId);
     if (!room) {
-      socket.emit("error", { message: "Room not found" });
+      socket.emit("error", ERRORS.ROOM_NOT_FOUND);
       return;
     }
 
+    // A flag that fell since the last move ends the game before anything else
+    if (checkFlag(playerInfo.roomId)) return;
+
     const { action, index, type, fromIndex, toIndex } = data;
-    const gameState = room.gameState;
+    const move = action === "place"
+      ? { kind: "place", index, type }
+      : { kind: action, from: fromIndex, to: toIndex };
+
+    const error = validateAction(room.gameState, playerInfo.playerId, move);
+    if (error) {
+      socket.emit("error", socketEvents.getRuleError(error));
+      return;
+    }
+
+    const gameState = applyAction(room.gameState, move);
+    if (gameState.clock) {
+      const now = Date.now();
+      gameState.clock = gameState.gameOver
+        ? stopClock(gameState.clock, now)
+        : switchTurn(gameState.clock, playerInfo.playerId, gameState.currentPlayer, now);
+    }
+    room.gameState = gameState;
+    if (room.game) {
+      room.game.actions.push({ player: playerInfo.playerId, ...move, at: new Date().toISOString() });
+    }
+    scheduleFlagCheck(playerInfo.roomId);
+
+    // Broadcast updated state
+    emitGameState(playerInfo.roomId);
+
+    // A pending takeback was about the position before this move
+    if (room.takebackRequest) {
+      room.takebackRequest = null;
+      emitTakeback(playerInfo.roomId);
+    }
+    // Moving instead of answering a draw offer declines it
+    if (room.drawOffer === otherPlayer(playerInfo.playerId)) {
+      room.drawOffer = null;
+      emitDrawOffer(playerInfo.roomId);
+    }
 
     if (gameState.gameOver) {
-      socket.emit("error", { message: "Game is over" });
+      concludeGame(playerInfo.roomId);
+    }
+  });
+
+  socket.on("offerRematch", () => {
+    const seat = getRematchSeat(socket);
+    if (!seat) return;
+    const { roomId, playerId, room } = seat;
+
+    // Both asked at the same time: that's an agreement
+    if (room.rematchOffer === otherPlayer(playerId)) {
+      startRematch(roomId);
       return;
     }
+    room.rematchOffer = playerId;
+    emitMatch(roomId);
+  });
 
-    if (gameState.currentPlayer !== playerInfo.playerId) {
-      socket.emit("error", { message: "Not your turn" });
+  socket.on("acceptRematch", () => {
+    const seat = getRematchSeat(socket);
+    if (!seat) return;
+    if (seat.room.rematchOffer !== otherPlayer(seat.playerId)) {
+      socket.emit("error", ERRORS.NO_REMATCH_OFFERED);
       return;
     }
+    startRematch(seat.roomId);
+  });
 
-    // Validate and apply move
-    if (action === "place") {
-      if (gameState.board[index] !== null) {
-        socket.emit("error", { message: "Cell is not empty" });
-        return;
-      }
-      const pool = gameState.pools[playerInfo.playerId];
-      const idx = pool.indexOf(type);
-      if (idx === -1) {
-        socket.emit("error", { message: "Piece not available" });
-        return;
-      }
+  socket.on("declineRematch", () => {
+    const seat = getRematchSeat(socket);
+    if (!seat || !seat.room.rematchOffer) return;
+    seat.room.rematchOffer = null;
+    emitMatch(seat.roomId);
+  });
 
-      const piece = { player: playerInfo.playerId, type };
-      if (type === "P") {
-        piece.dir = playerInfo.playerId === "X" ? 1 : -1;
-        if(([12, 13, 14, 15].includes(index) && playerInfo.playerId === "O") || ([0, 1, 2, 3].includes(index) && playerInfo.playerId === "X")){
-          piece.dir = -1 * piece.dir;
-          console.log('piece.dir', piece.dir);
-        }
-      }
-      gameState.board[index] = piece;
-      pool.splice(idx, 1);
-    } else if (action === "move") {
-      if (!bothPlayersHaveThree(gameState.board)) {
-        socket.emit("error", { message: "Cannot move yet" });
-        return;
-      }
-      const fromCell = gameState.board[fromIndex];
-      if (!fromCell || fromCell.player !== playerInfo.playerId) {
-        socket.emit("error", { message: "Invalid move" });
-        return;
-      }
-      const toCell = gameState.board[toIndex];
-      if (toCell && toCell.player === playerInfo.playerId) {
-        socket.emit("error", { message: "Cannot capture own piece" });
-        return;
-      }
+  // Asking to take back your last move, and the opponent's reply
+  socket.on("requestTakeback", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat) return;
+    const { roomId, playerId, room } = seat;
 
-      if (!isLegalMove(gameState.board, fromIndex, toIndex, fromCell)) {
-        socket.emit("error", { message: "Illegal move" });
-        return;
-      }
+    const actions = room.game.actions;
+    let last = actions.length - 1;
+    while (last >= 0 && actions[last].player !== playerId) last--;
+    if (last < 0) {
+      socket.emit("error", ERRORS.NOTHING_TO_TAKE_BACK);
+      return;
+    }
+    // Your own last move, and the opponent's reply to it if there is one
+    room.takebackRequest = { player: playerId, plies: actions.length - last };
+    emitTakeback(roomId);
+  });
 
-      if (toCell && toCell.player !== playerInfo.playerId) {
-        gameState.pools[toCell.player].push(toCell.type);
-      }
+  socket.on("acceptTakeback", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat) return;
+    const request = seat.room.takebackRequest;
+    if (!request || request.player !== otherPlayer(seat.playerId)) {
+      socket.emit("error", ERRORS.NO_TAKEBACK_REQUESTED);
+      return;
+    }
+    takeBack(seat.roomId, request.plies);
+  });
+
+  socket.on("declineTakeback", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat || !seat.room.takebackRequest) return;
+    seat.room.takebackRequest = null;
+    emitTakeback(seat.roomId);
+  });
 
-      gameState.board[toIndex] = { ...fromCell };
-      gameState.board[fromIndex] = null;
+  socket.on("resign", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat || checkFlag(seat.roomId)) return;
+    finishGame(seat.roomId, otherPlayer(seat.playerId), END_REASONS.RESIGNATION);
+    console.log(`Player ${seat.playerId} resigned in room ${seat.roomId}`);
+  });
 
-      if (fromCell.type === "P" && typeof fromCell.dir === "number") {
-        const { row } = indexToRowCol(toIndex);
-        if (row === 0 || row === BOARD_SIZE - 1) {
-          gameState.board[toIndex].dir = -fromCell.dir;
-        }
-      }
+  // Offering a draw, and the opponent's reply. The offer stands until the
+  // opponent answers it or makes a move.
+  socket.on("offerDraw", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat) return;
+    const { roomId, playerId, room } = seat;
+
+    // Both offered: that's an agreement
+    if (room.drawOffer === otherPlayer(playerId)) {
+      if (!checkFlag(roomId)) finishGame(roomId, null, END_REASONS.AGREEMENT);
+      return;
     }
+    room.drawOffer = playerId;
+    emitDrawOffer(roomId);
+  });
 
-    // Check for winner
-    const winner = checkWinner(gameState.board);
-    if (winner) {
-      gameState.gameOver = true;
-      gameState.winner = winner;
-    } else if (isBoardFull(gameState.board)) {
-      gameState.gameOver = true;
-    } else {
-      gameState.currentPlayer = gameState.currentPlayer === "X" ? "O" : "X";
+  socket.on("acceptDraw", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat) return;
+    if (seat.room.drawOffer !== otherPlayer(seat.playerId)) {
+      socket.emit("error", ERRORS.NO_DRAW_OFFERED);
+      return;
     }
+    if (!checkFlag(seat.roomId)) finishGame(seat.roomId, null, END_REASONS.AGREEMENT);
+  });
 
-    // Broadcast updated state
-    io.to(playerInfo.roomId).emit("gameStateUpdate", gameState);
+  socket.on("declineDraw", () => {
+    const seat = getPlayingSeat(socket);
+    if (!seat || !seat.room.drawOffer) return;
+    seat.room.drawOffer = null;
+    emitDrawOffer(seat.roomId);
   });
 
-  socket.on("disconnect", () => {
+  // Players talk to each other; spectators only read along
+  socket.on("chatMessage", (data) => {
+    const playerInfo = players.get(socket.id);
+    const room = playerInfo && rooms.get(playerInfo.roomId);
+    if (!room) {
+      socket.emit("error", ERRORS.NOT_IN_ROOM);
+      return;
+    }
+    const text = chat.cleanMessage(data && data.text);
+    if (!text) return;
+    socket.data.chatSentAt = socket.data.chatSentAt || [];
+    if (!chat.allowMessage(socket.data.chatSentAt, Date.now())) {
+      socket.emit("error", ERRORS.CHAT_TOO_FAST);
+      return;
+    }
+
+    const message = {
+      from: playerInfo.playerId,
+      name: getPlayerName(playerInfo),
+      text,
+      at: new Date().toISOString()
+    };
+    room.chat.push(message);
+    if (room.chat.length > chat.HISTORY_LENGTH) room.chat.shift();
+    io.to(playerInfo.roomId).emit("chatMessage", message);
+  });
+
+  socket.on("disconnect", (reason) => {
+    stopWatching(socket);
+
     const playerInfo = players.get(socket.id);
     if (playerInfo) {
-      const room = rooms.get(playerInfo.roomId);
+      const { roomId, playerId } = playerInfo;
+      const room = rooms.get(roomId);
+      players.delete(socket.id);
+
       if (room) {
         const wasFull = room.players.length === 2;
-        room.players = room.players.filter(id => id !== socket.id);
-        
-        if (room.players.length === 0) {
-          // Room is empty, delete it
-          rooms.delete(playerInfo.roomId);
-        } else if (wasFull) {
-          // Room was full, remaining player wins
-          const remainingPlayerId = room.players[0];
-          const remainingPlayerInfo = players.get(remainingPlayerId);
-          
-          if (remainingPlayerInfo && !room.gameState.gameOver) {
-            // Mark the remaining player as winner
-            room.gameState.gameOver = true;
-            room.gameState.winner = remainingPlayerInfo.playerId;
-            
-            // Notify the remaining player about the disconnect and victory
-            io.to(remainingPlayerId).emit("playerDisconnected", {
-              playerId: playerInfo.playerId,
-              reason: "opponent_disconnected"
+        // Leaving on purpose (switching modes) forfeits straight away;
+        // a dropped connection gets a grace period to come back.
+        const leftOnPurpose = reason === "client namespace disconnect";
+
+        if (wasFull && !room.gameState.gameOver && !leftOnPurpose) {
+          room.disconnected[playerId] = {
+            socketId: socket.id,
+            timer: setTimeout(() => expireSeat(roomId, playerId), RECONNECT_GRACE_MS)
+          };
+          io.to(roomId).emit("playerDisconnected", {
+            playerId,
+            reason: "reconnecting",
+            graceSeconds: Math.round(RECONNECT_GRACE_MS / 1000)
+          });
+          console.log(`Holding seat ${playerId} in room ${roomId} for reconnection`);
+        } else {
+          releaseSeat(roomId, socket.id, playerId);
+
+          if (!room.players.some(id => players.has(id))) {
+            // Room is empty, delete it
+            deleteRoom(roomId);
+          } else if (wasFull && !room.gameState.gameOver) {
+            // Room was full, remaining player wins
+            forfeitGame(roomId, playerId);
+          } else {
+            // Room had only 1 player (or the game was already over), just notify
+            room.rematchOffer = null;
+            io.to(roomId).emit("playerDisconnected", {
+              playerId,
+              reason: "waiting"
             });
-            io.to(remainingPlayerId).emit("gameStateUpdate", room.gameState);
-            console.log(`Player ${remainingPlayerId} wins by disconnect (opponent ${socket.id} left)`);
           }
-        } else {
-          // Room had only 1 player, just notify
-          io.to(playerInfo.roomId).emit("playerDisconnected", {
-            playerId: playerInfo.playerId,
-            reason: "waiting"
-          });
         }
       }
-      players.delete(socket.id);
     }
     console.log(`Player disconnected: ${socket.id}`);
     // Broadcast updated online player count
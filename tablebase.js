@@ -0,0 +1,445 @@
+// Perfect-play tablebase for Chess Tic‑Tac‑Toe, shared by server.js,
+// lib/tablebaseBuilder.js and the browser.
+//
+// A position is where each of the eight pieces stands (or that it is in
+// its owner's pool), which way the pawns on the board walk, and the side to
+// move. Two symmetries of the rules make positions equivalent:
+//
+//   colours   White and Black swapped, the board turned upside down, every
+//             pawn turned around and the move passed to the other side
+//   mirror    the board flipped left to right
+//
+// The table holds one position of each group: White to move, with the
+// first piece on the board (in PIECES order) in the left half. The board
+// has no centre column, so every position but the empty board has exactly
+// one mirror image. The table also leaves out piece counts no game reaches:
+// placements alternate until both sides may move, and after that a capture
+// takes one piece off. With u pieces down for the side to move and t for
+// the other, every game stays within
+//
+//   u == t,  t == u + 1,  or  u >= PIECES_TO_MOVE - 1 and t >= PIECES_TO_MOVE
+//
+// The positions left have indexes 0..POSITION_COUNT-1:
+//
+//   index = OFFSETS[mask] + cells * 2^pawns + dirs
+//
+//   mask    which pieces are on the board, one bit per entry of PIECES
+//   cells   their squares in PIECES order: the first ranked among the
+//           left-half squares, the others among the squares still free
+//   dirs    one bit per pawn on the board, set when it walks towards row 0
+//
+// Each position has a code: a draw (neither side can force a line), a win
+// or a loss for the side to move, or none when the side to move already
+// has a line, which no game reaches. Won and lost positions also have a
+// distance, the plies to the end with best play (0: the opponent already
+// has a line).
+//
+// Repetitions and the no-progress limit depend on how a position was
+// reached, so the table ignores them: a long win may run into the move
+// limit first.
+//
+// File layout (little-endian):
+//
+//   bytes 0-3     "CTTB"
+//   byte  4       format version
+//   bytes 5-7     reserved, 0
+//   bytes 8-15    POSITION_COUNT as two uint32, low half first
+//   bytes 16-23   number of won and lost positions, the same way
+//   blocks        one for every BLOCK_SIZE positions, BLOCK_BYTES each: a
+//                 uint32 counting the won and lost positions of the blocks
+//                 before, then a 2-bit code per position, four to a byte,
+//                 lowest bits first (the last block is padded with none)
+//   distances     one byte for each won or lost position, in index order
+//
+// That is 2 bits and a little a position, plus a byte where there is a
+// distance to keep; a lookup reads one block and at most one distance.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rules"));
+  } else {
+    root.ChessTTTTablebase = factory(root.ChessTTTRules);
+  }
+})(typeof self !== "undefined" ? self : this, function (defaultRules) {
+  const MAGIC = "CTTB";
+  const FORMAT_VERSION = 2;
+  const HEADER_SIZE = 24;
+
+  const BLOCK_SIZE = 256;
+  const BLOCK_BYTES = 4 + BLOCK_SIZE / 4;
+
+  const CODES = { DRAW: 0, WIN: 1, LOSS: 2, NONE: 3 };
+  const RESULTS = ["draw", "win", "loss"];
+  const MAX_PLIES = 255;
+
+  function bitCount(n) {
+    let count = 0;
+    for (; n; n &= n - 1) count++;
+    return count;
+  }
+
+  // The tablebase of `rules`, a variant made by rules.js createRules()
+  function createTablebase(rules) {
+    const {
+      PLAYER_X,
+      PLAYER_O,
+      BOARD_SIZE,
+      BOARD_CELLS,
+      PIECE_TYPES,
+      PIECES_TO_MOVE,
+      WIN_LINES,
+      otherPlayer,
+      cloneBoard,
+      clonePools,
+      getAllActions,
+      applyPlacement,
+      applyMove
+    } = rules;
+
+    const HALF_COLUMNS = BOARD_SIZE / 2;
+    const HALF_CELLS = BOARD_CELLS / 2;
+
+    // Index order of the pieces: White's, then Black's
+    const PIECES = [PLAYER_X, PLAYER_O].flatMap(player =>
+      PIECE_TYPES.map(type => ({ player, type }))
+    );
+    const SIDE_PIECES = PIECE_TYPES.length;
+    const SIDE_MASK = (1 << SIDE_PIECES) - 1;
+    const PAWN_MASK = PIECES.reduce(
+      (mask, piece, k) => (piece.type === "P" ? mask | (1 << k) : mask),
+      0
+    );
+    const MASK_COUNT = 1 << PIECES.length;
+
+    // Whether a game can reach these pieces on the board, White to move
+    function isReachableMask(mask) {
+      const u = bitCount(mask & SIDE_MASK);
+      const t = bitCount(mask >> SIDE_PIECES);
+      return u === t || t === u + 1 || (u >= PIECES_TO_MOVE - 1 && t >= PIECES_TO_MOVE);
+    }
+
+    // Ways to put `n` distinct pieces on the board, the first in the left half
+    function arrangements(n) {
+      if (n === 0) return 1;
+      let total = HALF_CELLS;
+      for (let j = 1; j < n; j++) total *= BOARD_CELLS - j;
+      return total;
+    }
+
+    // OFFSETS[mask]: first index of the positions with exactly those pieces
+    // on the board; OFFSETS[MASK_COUNT] is the number of positions
+    const OFFSETS = [0];
+    for (let mask = 0; mask < MASK_COUNT; mask++) {
+      const size = isReachableMask(mask)
+        ? arrangements(bitCount(mask)) * 2 ** bitCount(mask & PAWN_MASK)
+        : 0;
+      OFFSETS.push(OFFSETS[mask] + size);
+    }
+    const POSITION_COUNT = OFFSETS[MASK_COUNT];
+
+    /****************************************************
+     * Position indexes
+     ****************************************************/
+
+    // Index of `position`, or -1 for piece counts no game reaches. It only
+    // needs board and currentPlayer; the pools follow from the board.
+    function positionIndex(position) {
+      const b = position.board;
+      const swap = position.currentPlayer === PLAYER_O;
+      const cellOf = Array(PIECES.length).fill(-1);
+      const walksUp = Array(PIECES.length).fill(false);
+      for (let i = 0; i < BOARD_CELLS; i++) {
+        const cell = b[i];
+        if (!cell) continue;
+        const white = (cell.player === PLAYER_X) !== swap;
+        const k = (white ? 0 : SIDE_PIECES) + PIECE_TYPES.indexOf(cell.type);
+        const row = Math.floor(i / BOARD_SIZE);
+        cellOf[k] = swap ? (BOARD_SIZE - 1 - row) * BOARD_SIZE + (i % BOARD_SIZE) : i;
+        walksUp[k] = (cell.dir > 0) !== swap;
+      }
+
+      const first = cellOf.findIndex(c => c !== -1);
+      if (first !== -1 && cellOf[first] % BOARD_SIZE >= HALF_COLUMNS) {
+        for (let k = 0; k < PIECES.length; k++) {
+          if (cellOf[k] === -1) continue;
+          const col = cellOf[k] % BOARD_SIZE;
+          cellOf[k] += BOARD_SIZE - 1 - 2 * col;
+        }
+      }
+
+      let mask = 0;
+      let cells = 0;
+      let dirs = 0;
+      let pawns = 0;
+      let used = 0; // bit per occupied square, to rank the free ones
+      let placed = 0;
+      for (let k = 0; k < PIECES.length; k++) {
+        const c = cellOf[k];
+        if (c === -1) continue;
+        mask |= 1 << k;
+        if (placed === 0) {
+          cells = Math.floor(c / BOARD_SIZE) * HALF_COLUMNS + (c % BOARD_SIZE);
+        } else {
+          cells = cells * (BOARD_CELLS - placed) + c - bitCount(used & ((1 << c) - 1));
+        }
+        used |= 1 << c;
+        placed++;
+        if (PIECES[k].type === "P") {
+          dirs = dirs * 2 + (walksUp[k] ? 1 : 0);
+          pawns++;
+        }
+      }
+      if (!isReachableMask(mask)) return -1;
+      return OFFSETS[mask] + cells * 2 ** pawns + dirs;
+    }
+
+    // The inverse of positionIndex: { board, pools, currentPlayer }, always
+    // with White to move
+    function decodePosition(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= POSITION_COUNT) {
+        throw new Error("Invalid position index: " + index);
+      }
+
+      // Last mask whose range starts at or before `index`; masks left out
+      // have empty ranges, so this is never one of them
+      let lo = 0;
+      let hi = MASK_COUNT - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (OFFSETS[mid] <= index) lo = mid;
+        else hi = mid - 1;
+      }
+      const mask = lo;
+
+      const rest = index - OFFSETS[mask];
+      const dirCount = 2 ** bitCount(mask & PAWN_MASK);
+      let dirs = rest % dirCount;
+      let cells = (rest - dirs) / dirCount;
+
+      const onBoard = [];
+      for (let k = 0; k < PIECES.length; k++) {
+        if (mask & (1 << k)) onBoard.push(k);
+      }
+      const ranks = Array(onBoard.length);
+      for (let j = onBoard.length - 1; j >= 0; j--) {
+        const radix = j === 0 ? HALF_CELLS : BOARD_CELLS - j;
+        ranks[j] = cells % radix;
+        cells = (cells - ranks[j]) / radix;
+      }
+
+      const board = Array(BOARD_CELLS).fill(null);
+      const pawnBits = [];
+      for (let j = onBoard.length - 1; j >= 0; j--) {
+        if (PIECES[onBoard[j]].type !== "P") continue;
+        pawnBits[j] = dirs % 2;
+        dirs = (dirs - pawnBits[j]) / 2;
+      }
+      onBoard.forEach((k, j) => {
+        let c = -1;
+        if (j === 0) {
+          c = Math.floor(ranks[0] / HALF_COLUMNS) * BOARD_SIZE + (ranks[0] % HALF_COLUMNS);
+        } else {
+          for (let free = ranks[j]; free >= 0; free--) {
+            c++;
+            while (board[c]) c++;
+          }
+        }
+        const { player, type } = PIECES[k];
+        board[c] = type === "P" ? { player, type, dir: pawnBits[j] ? 1 : -1 } : { player, type };
+      });
+
+      const pools = { [PLAYER_X]: [], [PLAYER_O]: [] };
+      PIECES.forEach(({ player, type }, k) => {
+        if (!(mask & (1 << k))) pools[player].push(type);
+      });
+
+      return { board, pools, currentPlayer: PLAYER_X };
+    }
+
+    // Players with a line on `b` (normally at most one)
+    function getLineOwners(b) {
+      const owners = [];
+      WIN_LINES.forEach(line => {
+        const first = b[line[0]];
+        if (!first || owners.indexOf(first.player) !== -1) return;
+        if (line.every(i => b[i] && b[i].player === first.player)) {
+          owners.push(first.player);
+        }
+      });
+      return owners;
+    }
+
+    // The position after `action`, without the bookkeeping of applyAction
+    function playAction(position, action) {
+      const board = cloneBoard(position.board);
+      const pools = clonePools(position.pools);
+      if (action.kind === "place") {
+        applyPlacement(board, pools, position.currentPlayer, action.type, action.index);
+      } else {
+        applyMove(board, pools, action.from, action.to);
+      }
+      return { board, pools, currentPlayer: otherPlayer(position.currentPlayer) };
+    }
+
+    /****************************************************
+     * Probing
+     ****************************************************/
+
+    // Legal actions of `position` and the index each one leads to; none once
+    // somebody has a line
+    function getActionIndices(position) {
+      if (getLineOwners(position.board).length) return [];
+      return getAllActions(position.board, position.pools, position.currentPlayer).map(
+        action => ({ action, index: positionIndex(playAction(position, action)) })
+      );
+    }
+
+    // Every index analyzePosition() will ask for
+    function getProbeIndices(position) {
+      return [positionIndex(position), ...getActionIndices(position).map(({ index }) => index)];
+    }
+
+    // The theoretical result of `position` and all its legal actions, best
+    // first. `valueAt(index)` returns the decodeValue() of an index.
+    function analyzePosition(position, valueAt) {
+      const value = valueAt(positionIndex(position));
+      const actions = getActionIndices(position).map(({ action, index }) => ({
+        action,
+        ...fromMover(valueAt(index))
+      }));
+      actions.sort((a, b) => outcomeRank(b) - outcomeRank(a));
+      return { result: value ? value.result : null, plies: value ? value.plies : null, actions };
+    }
+
+    return {
+      POSITION_COUNT,
+      positionIndex,
+      decodePosition,
+      getLineOwners,
+      playAction,
+      getActionIndices,
+      getProbeIndices,
+      analyzePosition,
+      getBestActions,
+      createTablebase,
+      ...FORMAT,
+      createHeader: decidedCount => createHeader(POSITION_COUNT, decidedCount),
+      readHeader: bytes => readHeader(bytes, POSITION_COUNT)
+    };
+  }
+
+  /****************************************************
+   * Table files
+   ****************************************************/
+
+  // { result: "win" | "loss" | "draw", plies } for the side to move, or
+  // null for none
+  function decodeValue(code, plies) {
+    if (code === CODES.NONE) return null;
+    return { result: RESULTS[code], plies: code === CODES.DRAW ? null : plies };
+  }
+
+  function createHeader(positionCount, decidedCount) {
+    const header = new Uint8Array(HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    for (let i = 0; i < MAGIC.length; i++) header[i] = MAGIC.charCodeAt(i);
+    header[4] = FORMAT_VERSION;
+    view.setUint32(8, positionCount % 2 ** 32, true);
+    view.setUint32(12, Math.floor(positionCount / 2 ** 32), true);
+    view.setUint32(16, decidedCount % 2 ** 32, true);
+    view.setUint32(20, Math.floor(decidedCount / 2 ** 32), true);
+    return header;
+  }
+
+  // Throws unless `bytes` start with a header this code can read for a
+  // table of `positionCount` positions
+  function readHeader(bytes, positionCount) {
+    if (bytes.length < HEADER_SIZE) throw new Error("Not a tablebase file");
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== MAGIC) throw new Error("Not a tablebase file");
+    if (bytes[4] !== FORMAT_VERSION) {
+      throw new Error(`Unsupported tablebase version ${bytes[4]}`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, HEADER_SIZE);
+    const count = view.getUint32(8, true) + view.getUint32(12, true) * 2 ** 32;
+    if (count !== positionCount) {
+      throw new Error(`Tablebase has ${count} positions, expected ${positionCount}`);
+    }
+    const decided = view.getUint32(16, true) + view.getUint32(20, true) * 2 ** 32;
+    const distancesOffset = HEADER_SIZE + Math.ceil(count / BLOCK_SIZE) * BLOCK_BYTES;
+    return { version: bytes[4], count, decided, distancesOffset };
+  }
+
+  // Where the block holding `index` starts in a table file
+  function getBlockOffset(index) {
+    return HEADER_SIZE + Math.floor(index / BLOCK_SIZE) * BLOCK_BYTES;
+  }
+
+  function codeAt(block, j) {
+    return (block[4 + (j >> 2)] >> ((j & 3) * 2)) & 3;
+  }
+
+  // The code of `index` from the BLOCK_BYTES bytes of its block, and for a
+  // won or lost position the number of its distance among the distances
+  function readBlockEntry(block, index) {
+    const view = new DataView(block.buffer, block.byteOffset, BLOCK_BYTES);
+    const j = index % BLOCK_SIZE;
+    let rank = view.getUint32(0, true);
+    for (let i = 0; i < j; i++) {
+      const code = codeAt(block, i);
+      if (code === CODES.WIN || code === CODES.LOSS) rank++;
+    }
+    return { code: codeAt(block, j), rank };
+  }
+
+  // A block of `codes` (up to BLOCK_SIZE of them), after blocks holding
+  // `decidedBefore` won and lost positions
+  function encodeBlock(codes, decidedBefore) {
+    const block = new Uint8Array(BLOCK_BYTES).fill(0xff, 4);
+    new DataView(block.buffer).setUint32(0, decidedBefore, true);
+    for (let j = 0; j < codes.length; j++) {
+      const shift = (j & 3) * 2;
+      block[4 + (j >> 2)] = (block[4 + (j >> 2)] & ~(3 << shift)) | (codes[j] << shift);
+    }
+    return block;
+  }
+
+  /****************************************************
+   * Choosing actions
+   ****************************************************/
+
+  // The opponent's outcome after an action, seen from the side playing it
+  function fromMover(reply) {
+    if (!reply || reply.result === "draw") return { result: "draw", plies: null };
+    return { result: reply.result === "win" ? "loss" : "win", plies: reply.plies + 1 };
+  }
+
+  // Higher is better for the side to move: quick wins, draws, slow losses
+  function outcomeRank({ result, plies }) {
+    if (result === "win") return 2 * (MAX_PLIES + 1) - plies;
+    if (result === "draw") return MAX_PLIES + 1;
+    return plies;
+  }
+
+  // The actions of an analysis that are as good as the best one
+  function getBestActions(analysis) {
+    if (!analysis || analysis.actions.length === 0) return [];
+    const best = outcomeRank(analysis.actions[0]);
+    return analysis.actions.filter(entry => outcomeRank(entry) === best).map(entry => entry.action);
+  }
+
+  // The file format is the same for every variant
+  const FORMAT = {
+    HEADER_SIZE,
+    BLOCK_SIZE,
+    BLOCK_BYTES,
+    CODES,
+    MAX_PLIES,
+    decodeValue,
+    getBlockOffset,
+    readBlockEntry,
+    encodeBlock
+  };
+
+  return createTablebase(defaultRules);
+});
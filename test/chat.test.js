@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { MAX_MESSAGE_LENGTH, cleanMessage, allowMessage } = require("../lib/chat");
+
+test("messages are one trimmed line, cut to length", () => {
+  assert.equal(cleanMessage("  good\n\tgame  "), "good game");
+  assert.equal(cleanMessage("a\u0000b"), "a b");
+  assert.equal(cleanMessage("x".repeat(500)).length, MAX_MESSAGE_LENGTH);
+  assert.equal(cleanMessage("   "), "");
+  assert.equal(cleanMessage(42), "");
+});
+
+test("blocked words are starred out as whole words, in any case", () => {
+  assert.equal(cleanMessage("oh SHIT"), "oh S***");
+  assert.equal(cleanMessage("fuuuuck"), "f******");
+  assert.equal(cleanMessage("Dickens and shitake"), "Dickens and shitake");
+});
+
+test("at most 5 messages every 10 seconds", () => {
+  const sentAt = [];
+  for (let i = 0; i < 5; i++) assert.equal(allowMessage(sentAt, i * 1000), true);
+  assert.equal(allowMessage(sentAt, 9999), false);
+  assert.equal(allowMessage(sentAt, 10000), true);
+});
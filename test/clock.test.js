@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const {
+  createClock,
+  getRemaining,
+  isFlagged,
+  stopClock,
+  startClock,
+  switchTurn,
+  rewindTurn,
+  clockView,
+  formatTime
+} = require("../clock");
+
+const MINUTE = 60 * 1000;
+
+test("no time control means no clock", () => {
+  assert.equal(createClock("none"), null);
+  assert.equal(createClock("2+1"), null);
+  assert.deepEqual(createClock("3+2").remaining, { X: 3 * MINUTE, O: 3 * MINUTE });
+});
+
+test("White's first move in a local game only starts Black's clock", () => {
+  const clock = switchTurn(createClock("3+2"), "X", "O", 1000);
+  assert.equal(clock.running, "O");
+  assert.equal(clock.remaining.X, 3 * MINUTE);
+  assert.equal(getRemaining(clock, "O", 6000), 3 * MINUTE - 5000);
+});
+
+test("switching turns charges the mover and adds the increment", () => {
+  let clock = switchTurn(createClock("3+2"), "X", "O", 0);
+  clock = switchTurn(clock, "O", "X", 10000);
+  assert.equal(clock.remaining.O, 3 * MINUTE - 10000 + 2000);
+  assert.equal(clock.running, "X");
+  assert.equal(clock.turnStartedAt, 10000);
+});
+
+test("per-move time controls give fresh time every move", () => {
+  let clock = startClock(createClock("1d"), "X", 0);
+  clock = switchTurn(clock, "X", "O", 5 * MINUTE);
+  clock = switchTurn(clock, "O", "X", 10 * MINUTE);
+  assert.equal(clock.remaining.X, 24 * 60 * MINUTE);
+});
+
+test("an online game starts White's clock right away", () => {
+  const clock = startClock(createClock("1+0"), "X", 0);
+  assert.equal(clock.running, "X");
+  assert.equal(getRemaining(clock, "X", 20000), 40000);
+});
+
+test("the flag falls once the running clock reaches zero", () => {
+  const clock = startClock(createClock("1+0"), "X", 0);
+  assert.equal(isFlagged(clock, MINUTE - 1), false);
+  assert.equal(isFlagged(clock, MINUTE), true);
+  assert.equal(getRemaining(clock, "X", 2 * MINUTE), 0);
+  assert.equal(isFlagged(stopClock(clock, 1000), 2 * MINUTE), false);
+});
+
+test("a takeback keeps used time and gives no increment", () => {
+  let clock = switchTurn(createClock("3+2"), "X", "O", 0);
+  clock = switchTurn(clock, "O", "X", 10000);
+  const rewound = rewindTurn(clock, "O", 15000);
+  assert.equal(rewound.running, "O");
+  assert.equal(rewound.remaining.X, 3 * MINUTE - 5000);
+  assert.equal(rewound.remaining.O, 3 * MINUTE - 10000 + 2000);
+
+  const back = rewindTurn(clock, null, 15000);
+  assert.equal(back.running, null);
+});
+
+test("a clock view is up to date as of now", () => {
+  const clock = startClock(createClock("5+0"), "X", 0);
+  const view = clockView(clock, 30000);
+  assert.equal(view.remaining.X, 5 * MINUTE - 30000);
+  assert.equal(view.turnStartedAt, 30000);
+});
+
+test("times are shown as m:ss, with tenths under ten seconds", () => {
+  assert.equal(formatTime(3 * MINUTE), "3:00");
+  assert.equal(formatTime(61500), "1:02");
+  assert.equal(formatTime(9400), "0:09.4");
+  assert.equal(formatTime(-5), "0:00.0");
+  assert.equal(formatTime(90 * MINUTE), "1:30:00");
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { createInitialState, applyAction, getAllActions } = require("../rules");
+const {
+  formatPosition,
+  parsePosition,
+  formatAction,
+  parseAction,
+  formatGame,
+  parseGame
+} = require("../notation");
+
+const place = (index, type) => ({ kind: "place", index, type });
+const move = (from, to) => ({ kind: "move", from, to });
+
+// White completes rank 1 before Black completes rank 4
+const GAME = [
+  place(12, "R"),
+  place(0, "R"),
+  place(13, "N"),
+  place(1, "N"),
+  place(14, "B"),
+  place(2, "B"),
+  place(15, "P")
+];
+
+// Deterministic pseudo-random game: the first `plies` actions picked by a
+// linear congruential generator
+function randomGame(seed, plies) {
+  let state = createInitialState();
+  const actions = [];
+  for (let i = 0; i < plies && !state.gameOver; i++) {
+    const legal = getAllActions(state.board, state.pools, state.currentPlayer);
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const action = legal[seed % legal.length];
+    actions.push(action);
+    state = applyAction(state, action);
+  }
+  return actions;
+}
+
+test("actions are written in chess-like notation", () => {
+  const state = createInitialState();
+  assert.equal(formatAction(state, place(12, "R")), "R@a1");
+  const next = GAME.slice(0, 6).reduce(applyAction, state);
+  assert.equal(formatAction(next, move(12, 8)), "Ra1-a2");
+  assert.equal(formatAction(next, move(12, 0)), "Ra1xa4");
+  assert.equal(formatAction(next, place(15, "P")), "P@d1#");
+});
+
+test("every action reads back as itself", () => {
+  let state = createInitialState();
+  randomGame(7, 60).forEach(action => {
+    const text = formatAction(state, action);
+    assert.deepEqual(parseAction(state, text), action, text);
+    state = applyAction(state, action);
+  });
+});
+
+test("a game survives formatGame and parseGame", () => {
+  const text = formatGame(GAME, { White: "Alice", Black: "Bob" });
+  assert.match(text, /\[White "Alice"\]/);
+  assert.match(text, /\[Result "1-0"\]/);
+
+  const parsed = parseGame(text);
+  assert.deepEqual(parsed.actions, GAME);
+  assert.equal(parsed.tags.Black, "Bob");
+  const last = parsed.states[parsed.states.length - 1];
+  assert.equal(last.gameOver, true);
+  assert.equal(last.winner, "X");
+});
+
+test("random games survive formatGame and parseGame", () => {
+  [1, 2, 3, 4, 5].forEach(seed => {
+    const actions = randomGame(seed, 80);
+    assert.deepEqual(parseGame(formatGame(actions)).actions, actions);
+  });
+});
+
+test("a game from a set-up position keeps its starting position", () => {
+  const start = "r2b/2n1/1N2/B2R P-p w";
+  const actions = [move(9, 2), move(6, 8)];
+  const parsed = parseGame(formatGame(actions, { Position: start }));
+  assert.equal(formatPosition(parsed.states[0]), start);
+  assert.deepEqual(parsed.actions, actions);
+});
+
+test("positions survive formatPosition and parsePosition", () => {
+  assert.equal(formatPosition(parsePosition("1n2/4/P'3/R3 NB-prb w")), "1n2/4/P'3/R3 NB-prb w");
+  assert.equal(formatPosition(createInitialState()), "4/4/4/4 PRNB-prnb w");
+
+  let state = createInitialState();
+  randomGame(11, 50).forEach(action => {
+    state = applyAction(state, action);
+    const text = formatPosition(state);
+    assert.equal(formatPosition(parsePosition(text)), text);
+  });
+});
+
+test("malformed positions are refused", () => {
+  assert.throws(() => parsePosition("4/4/4 PRNB-prnb w"), /Invalid position/);
+  assert.throws(() => parsePosition("4/4/4/4 PRNB-prnb x"), /Invalid position/);
+  assert.throws(() => parsePosition("RR2/4/4/4 PNB-prnb w"), /Invalid position/);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ratings-"));
+process.env.RATINGS_FILE = path.join(dir, "ratings.json");
+const ratingStore = require("../lib/ratingStore");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a win moves both ratings by the same provisional amount", () => {
+  const changes = ratingStore.rateGame({ X: "Alice", O: "Bob" }, "X");
+  assert.deepEqual(changes, {
+    X: { before: 1500, after: 1520 },
+    O: { before: 1500, after: 1480 }
+  });
+  assert.equal(ratingStore.getRating("alice"), 1520);
+  assert.equal(ratingStore.getPlayer("BOB").losses, 1);
+});
+
+test("a game between the same account is never rated", () => {
+  assert.equal(ratingStore.rateGame({ X: "Carol", O: "carol" }, "X"), null);
+  assert.equal(ratingStore.getPlayer("Carol"), null);
+});
+
+test("players are listed best first", () => {
+  assert.deepEqual(ratingStore.listPlayers().map(player => player.name), ["Alice", "Bob"]);
+});
+
+test("ratings are written to the file", async () => {
+  // Saving happens in the background
+  let saved = null;
+  for (let tries = 0; tries < 50 && !(saved && saved.bob); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    saved = fs.existsSync(process.env.RATINGS_FILE)
+      ? JSON.parse(fs.readFileSync(process.env.RATINGS_FILE, "utf8"))
+      : null;
+  }
+  assert.equal(saved.alice.rating, 1520);
+  assert.equal(saved.bob.rating, 1480);
+});
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const {
+  PLAYER_X,
+  PLAYER_O,
+  END_REASONS,
+  createInitialState,
+  validateAction,
+  applyAction,
+  getAllActions,
+  initialPawnDir
+} = require("../rules");
+
+const place = (index, type) => ({ kind: "place", index, type });
+const move = (from, to) => ({ kind: "move", from, to });
+
+// Plays `actions` from `state`, failing on the first illegal one
+function play(state, actions) {
+  return actions.reduce((current, action) => {
+    const error = validateAction(current, current.currentPlayer, action);
+    assert.equal(error, null, `${JSON.stringify(action)}: ${error}`);
+    return applyAction(current, action);
+  }, state);
+}
+
+// r2b/2n1/1N2/B2R P-p w: three pieces each, nobody close to a line
+const OPENING = [place(15, "R"), place(0, "R"), place(9, "N"), place(6, "N"), place(12, "B"), place(3, "B")];
+
+// Both knights step out and back: the opening position again
+const KNIGHT_SHUFFLE = [move(9, 2), move(6, 8), move(2, 9), move(8, 6)];
+
+test("a game starts empty with White to move and full pools", () => {
+  const state = createInitialState();
+  assert.equal(state.currentPlayer, PLAYER_X);
+  assert.ok(state.board.every(cell => cell === null));
+  assert.deepEqual(state.pools[PLAYER_X], ["P", "R", "N", "B"]);
+  assert.deepEqual(state.pools[PLAYER_O], ["P", "R", "N", "B"]);
+  assert.equal(getAllActions(state.board, state.pools, PLAYER_X).length, 16 * 4);
+});
+
+test("placements are refused out of turn, on taken cells and without the piece", () => {
+  const state = play(createInitialState(), [place(5, "R")]);
+  assert.equal(validateAction(state, PLAYER_X, place(6, "N")), "Not your turn");
+  assert.equal(validateAction(state, PLAYER_O, place(5, "N")), "Cell is not empty");
+  assert.equal(validateAction(state, PLAYER_O, place(6, "Q")), "Piece not available");
+  assert.equal(validateAction(state, PLAYER_O, place(16, "N")), "Invalid move");
+
+  const next = play(state, [place(6, "R")]);
+  assert.equal(validateAction(next, PLAYER_X, place(7, "R")), "Piece not available");
+});
+
+test("a placed piece leaves the pool and passes the turn", () => {
+  const state = play(createInitialState(), [place(5, "N")]);
+  assert.deepEqual(state.board[5], { player: PLAYER_X, type: "N" });
+  assert.deepEqual(state.pools[PLAYER_X], ["P", "R", "B"]);
+  assert.equal(state.currentPlayer, PLAYER_O);
+  assert.equal(state.ply, 1);
+});
+
+test("pawns start walking towards the opponent unless dropped on that edge", () => {
+  assert.equal(initialPawnDir(PLAYER_X, 9), 1);
+  assert.equal(initialPawnDir(PLAYER_X, 1), -1);
+  assert.equal(initialPawnDir(PLAYER_O, 5), -1);
+  assert.equal(initialPawnDir(PLAYER_O, 13), 1);
+});
+
+test("moving waits until both sides have three pieces down", () => {
+  const state = play(createInitialState(), OPENING.slice(0, 5));
+  assert.equal(validateAction(state, PLAYER_O, move(6, 8)), "Cannot move yet");
+
+  const ready = play(state, [OPENING[5]]);
+  assert.equal(validateAction(ready, PLAYER_X, move(9, 2)), null);
+});
+
+test("moves follow chess geometry and can't capture your own pieces", () => {
+  const state = play(createInitialState(), OPENING);
+  assert.equal(validateAction(state, PLAYER_X, move(15, 13)), null);
+  assert.equal(validateAction(state, PLAYER_X, move(15, 10)), "Illegal move");
+  assert.equal(validateAction(state, PLAYER_X, move(15, 12)), "Cannot capture own piece");
+  assert.equal(validateAction(state, PLAYER_X, move(6, 8)), "Invalid move");
+  // The bishop on a1 is blocked by the knight on b2
+  assert.equal(validateAction(state, PLAYER_X, move(12, 6)), "Illegal move");
+});
+
+test("captured pieces go back to their owner's pool", () => {
+  const state = play(createInitialState(), [...OPENING, move(9, 0)]);
+  assert.deepEqual(state.board[0], { player: PLAYER_X, type: "N" });
+  assert.deepEqual(state.pools[PLAYER_O].slice().sort(), ["P", "R"]);
+  assert.equal(state.drawCounters.noProgressCount, 0);
+});
+
+test("a pawn turns around on the edge row", () => {
+  // White's pawn steps from b3 to b4 and faces back down the board
+  const state = play(createInitialState(), [
+    place(5, "P"),
+    place(8, "R"),
+    place(12, "R"),
+    place(9, "N"),
+    place(15, "B"),
+    place(11, "B"),
+    move(5, 1)
+  ]);
+  assert.deepEqual(state.board[1], { player: PLAYER_X, type: "P", dir: -1 });
+});
+
+test("four in a row wins", () => {
+  const state = play(createInitialState(), [
+    place(12, "R"),
+    place(0, "R"),
+    place(13, "N"),
+    place(1, "N"),
+    place(14, "B"),
+    place(2, "B"),
+    place(15, "P")
+  ]);
+  assert.equal(state.gameOver, true);
+  assert.equal(state.winner, PLAYER_X);
+  assert.equal(state.reason, END_REASONS.FOUR_IN_A_ROW);
+  assert.equal(validateAction(state, PLAYER_O, place(3, "P")), "Game is over");
+});
+
+test("the same position three times is a draw", () => {
+  const twice = play(createInitialState(), [...OPENING, ...KNIGHT_SHUFFLE]);
+  assert.equal(twice.gameOver, false);
+
+  const state = play(twice, KNIGHT_SHUFFLE);
+  assert.equal(state.gameOver, true);
+  assert.equal(state.winner, null);
+  assert.equal(state.reason, END_REASONS.THREEFOLD_REPETITION);
+});
+
+test("the no-progress limit counts the actions of both players", () => {
+  const start = play(createInitialState({ noProgressLimit: 4 }), OPENING);
+  const almost = play(start, KNIGHT_SHUFFLE.slice(0, 3));
+  assert.equal(almost.drawCounters.noProgressCount, 3);
+  assert.equal(almost.gameOver, false);
+
+  const state = play(almost, [KNIGHT_SHUFFLE[3]]);
+  assert.equal(state.gameOver, true);
+  assert.equal(state.winner, null);
+  assert.equal(state.reason, END_REASONS.MOVE_LIMIT);
+});
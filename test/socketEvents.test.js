@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { ERRORS, getRuleError, checkEvent, allowEvent } = require("../lib/socketEvents");
+
+test("well-formed events pass", () => {
+  assert.equal(checkEvent("makeMove", [{ action: "place", index: 0, type: "P" }]), null);
+  assert.equal(checkEvent("makeMove", [{ action: "move", fromIndex: 3, toIndex: 15 }]), null);
+  assert.equal(checkEvent("findOrCreateRoom", []), null);
+  assert.equal(checkEvent("findOrCreateRoom", [{ timeControl: "3+2", rated: true }]), null);
+  assert.equal(checkEvent("joinRoom", [{ roomId: "K7QM2X" }]), null);
+  assert.equal(checkEvent("resign", []), null);
+  assert.equal(checkEvent("chatMessage", [{ text: "Good luck" }]), null);
+});
+
+test("unknown events are malformed", () => {
+  assert.match(checkEvent("deleteEverything", []), /unknown event/);
+  assert.match(checkEvent("__proto__", []), /unknown event/);
+  assert.match(checkEvent("hasOwnProperty", []), /unknown event/);
+});
+
+test("payloads of the wrong shape are malformed", () => {
+  const bad = [
+    ["makeMove", [{ action: "place", index: 16, type: "P" }]],
+    ["makeMove", [{ action: "place", index: 1.5, type: "P" }]],
+    ["makeMove", [{ action: "place", index: 0, type: "Q" }]],
+    ["makeMove", [{ action: "move", fromIndex: 4, toIndex: 4 }]],
+    ["makeMove", [{ action: "move", fromIndex: 4, toIndex: "5" }]],
+    ["makeMove", [{ action: "teleport", index: 0 }]],
+    ["makeMove", [{ action: "place", index: 0, type: "P", extra: 1 }]],
+    ["makeMove", [null]],
+    ["makeMove", [[1, 2]]],
+    ["joinRoom", [{}]],
+    ["joinRoom", [{ roomId: 42 }]],
+    ["chatMessage", [{ text: "x".repeat(1001) }]],
+    ["findOrCreateRoom", [{ rated: "yes" }]],
+    ["resign", [{ now: true }]],
+    ["offerDraw", [undefined, undefined]]
+  ];
+  bad.forEach(([event, args]) => {
+    assert.notEqual(checkEvent(event, args), null, `${event} ${JSON.stringify(args)}`);
+  });
+});
+
+test("each socket may send 20 events a second", () => {
+  const sentAt = [];
+  for (let i = 0; i < 20; i++) assert.equal(allowEvent(sentAt, 1000 + i), true);
+  assert.equal(allowEvent(sentAt, 1500), false);
+  assert.equal(allowEvent(sentAt, 2000), true);
+});
+
+test("rule errors map to their codes", () => {
+  assert.equal(getRuleError("Not your turn"), ERRORS.NOT_YOUR_TURN);
+  assert.equal(getRuleError("Cell is not empty").code, "cell_not_empty");
+  assert.equal(getRuleError("something new"), ERRORS.INVALID_MOVE);
+});
@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("assert/strict");
+const { createRules, createInitialState, applyAction, getAllActions } = require("../rules");
+const {
+  POSITION_COUNT,
+  positionIndex,
+  decodePosition,
+  createTablebase,
+  getBestActions
+} = require("../tablebase");
+const { solveTable, getValue, writeTable } = require("../lib/tablebaseBuilder");
+const { readValues } = require("../lib/tablebaseStore");
+
+// Small variants that solve in about a second: two pieces a side, and two
+// in a row win
+const PAWN_KNIGHT = { pieceTypes: ["P", "N"], lineLength: 2 };
+const ROOK_BISHOP = { pieceTypes: ["R", "B"], lineLength: 2 };
+
+function sortedPools(position) {
+  return { X: position.pools.X.slice().sort(), O: position.pools.O.slice().sort() };
+}
+
+function mirror(position) {
+  const board = position.board.map((cell, i) => position.board[i + 3 - 2 * (i % 4)]);
+  return { ...position, board };
+}
+
+function swapColours(position) {
+  const board = position.board.map((cell, i) => {
+    const source = position.board[(3 - Math.floor(i / 4)) * 4 + (i % 4)];
+    if (!source) return null;
+    const swapped = { ...source, player: source.player === "X" ? "O" : "X" };
+    if (source.type === "P") swapped.dir = -source.dir;
+    return swapped;
+  });
+  return {
+    board,
+    pools: { X: position.pools.O, O: position.pools.X },
+    currentPlayer: position.currentPlayer === "X" ? "O" : "X"
+  };
+}
+
+// Positions of deterministic pseudo-random games
+function randomPositions(seed, games, plies) {
+  const positions = [];
+  for (let game = 0; game < games; game++) {
+    let state = createInitialState();
+    for (let ply = 0; ply < plies && !state.gameOver; ply++) {
+      positions.push(state);
+      const legal = getAllActions(state.board, state.pools, state.currentPlayer);
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      state = applyAction(state, legal[seed % legal.length]);
+    }
+  }
+  return positions;
+}
+
+// The result every action of `position` implies, from the solved values
+// of the positions they lead to
+function bestReply(tablebase, table, position) {
+  const replies = tablebase.getActionIndices(position).map(({ index }) => getValue(table, index));
+  const losses = replies.filter(value => value.result === "loss").map(value => value.plies);
+  if (losses.length) return { result: "win", plies: Math.min(...losses) + 1 };
+  if (replies.every(value => value.result === "win")) {
+    return { result: "loss", plies: Math.max(...replies.map(value => value.plies)) + 1 };
+  }
+  return { result: "draw", plies: null };
+}
+
+test("decodePosition inverts positionIndex at both ends of the range", () => {
+  [0, 1, 2, 3, POSITION_COUNT - 2, POSITION_COUNT - 1].forEach(index => {
+    assert.equal(positionIndex(decodePosition(index)), index);
+  });
+  assert.throws(() => decodePosition(POSITION_COUNT), /Invalid position index/);
+  assert.throws(() => decodePosition(-1), /Invalid position index/);
+});
+
+test("decodePosition inverts positionIndex across the range", () => {
+  const step = Math.floor(POSITION_COUNT / 5000) + 1;
+  for (let index = 0; index < POSITION_COUNT; index += step) {
+    const position = decodePosition(index);
+    assert.equal(position.currentPlayer, "X");
+    assert.equal(positionIndex(position), index);
+  }
+});
+
+test("symmetric positions share one index", () => {
+  randomPositions(3, 20, 60).forEach(state => {
+    const index = positionIndex(state);
+    assert.notEqual(index, -1);
+    const images = [state, mirror(state), swapColours(state), mirror(swapColours(state))];
+    images.forEach(image => assert.equal(positionIndex(image), index));
+
+    // The stored position is one of them
+    const stored = decodePosition(index);
+    const same = images.some(
+      image =>
+        image.currentPlayer === "X" &&
+        JSON.stringify(image.board) === JSON.stringify(stored.board) &&
+        JSON.stringify(sortedPools(image)) === JSON.stringify(sortedPools(stored))
+    );
+    assert.ok(same, JSON.stringify(state.board));
+  });
+});
+
+test("piece counts no game reaches have no index", () => {
+  // One White piece down: only Black can be to move
+  const board = Array(16).fill(null);
+  board[0] = { player: "X", type: "R" };
+  assert.notEqual(positionIndex({ board, currentPlayer: "O" }), -1);
+  assert.equal(positionIndex({ board, currentPlayer: "X" }), -1);
+
+  // Two White pieces and no Black one: nobody
+  board[5] = { player: "X", type: "N" };
+  assert.equal(positionIndex({ board, currentPlayer: "O" }), -1);
+  assert.equal(positionIndex({ board, currentPlayer: "X" }), -1);
+});
+
+test("a solved variant agrees with the actions of every position", () => {
+  [PAWN_KNIGHT, ROOK_BISHOP].forEach(variant => {
+    const rules = createRules(variant);
+    const tablebase = createTablebase(rules);
+    const table = solveTable(rules);
+    for (let index = 0; index < tablebase.POSITION_COUNT; index++) {
+      const position = tablebase.decodePosition(index);
+      const value = getValue(table, index);
+      const owners = tablebase.getLineOwners(position.board);
+      if (owners.length) {
+        const lost = owners.length === 1 && owners[0] === "O";
+        assert.deepEqual(value, lost ? { result: "loss", plies: 0 } : null);
+        continue;
+      }
+      assert.deepEqual(value, bestReply(tablebase, table, position), `index ${index}`);
+    }
+    // White's second piece always finds a free square beside its first
+    assert.deepEqual(getValue(table, 0), { result: "win", plies: 3 });
+  });
+});
+
+test("a written table reads back through the store", async () => {
+  const rules = createRules(PAWN_KNIGHT);
+  const tablebase = createTablebase(rules);
+  const table = solveTable(rules);
+  const pieces = [];
+  const decided = writeTable(rules, table, bytes => pieces.push(Buffer.from(bytes)));
+  const file = Buffer.concat(pieces);
+
+  const header = tablebase.readHeader(file);
+  assert.equal(header.count, tablebase.POSITION_COUNT);
+  assert.equal(header.decided, decided);
+  assert.equal(file.length, header.distancesOffset + decided);
+  assert.throws(() => createTablebase(createRules(ROOK_BISHOP)).readHeader(file), /positions/);
+
+  const read = async (offset, length) => file.subarray(offset, offset + length);
+  const indices = [];
+  for (let index = 0; index < tablebase.POSITION_COUNT; index += 7) indices.push(index);
+  indices.push(tablebase.POSITION_COUNT - 1, -1);
+  const values = await readValues(read, header, indices);
+  indices.forEach(index => {
+    assert.deepEqual(values.get(index), index === -1 ? null : getValue(table, index));
+  });
+
+  // White's second piece always finds a free square beside its first, so
+  // every first action wins
+  const start = tablebase.decodePosition(0);
+  const probes = await readValues(read, header, tablebase.getProbeIndices(start));
+  const analysis = tablebase.analyzePosition(start, index => probes.get(index));
+  assert.equal(analysis.result, "win");
+  assert.equal(getBestActions(analysis).length, analysis.actions.length);
+});